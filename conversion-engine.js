@@ -0,0 +1,1274 @@
+// conversion-engine.js
+// Shared unit-conversion engine used by generate.js, strict-validate-converters.js
+// and the converter widget on the generated pages.
+//
+// Usage (Node):
+//   const ConversionEngine = require('./conversion-engine');
+//   const engine = ConversionEngine.createConverter(converter);
+//   engine.convert(1, 'cup', 'gram', { ingredient: 'flour' }); // => number or null
+//
+// Usage (browser): generate.js writes the file to public/js/ and loads it
+// before the page script on pages with a converter; it exposes the same API
+// on the global `ConversionEngine`.
+//
+// convert(value, from, to, { ingredient }) treats every conversions entry and
+// conversionFormulas entry as an edge between two units and follows the
+// shortest path from `from` to `to`, so any pair of supportedUnits connected
+// through other units converts even if its authors never listed it. For a
+// direct pair the order of preference is: ingredientFormulas for the selected
+// ingredient, the conversions matrix, conversionFormulas, an analytic inverse
+// of a conversionFormulas entry, and finally the reciprocal matrix entry.
+// When the converter carries unitDefinitions (attached from units.json by
+// unit-registry.js), same-dimension units are also linked through their
+// canonical factors, ranked just after conversionFormulas. With an ingredient
+// selected, its ingredientFormulas and its density (ingredientDensities) are
+// tried before everything else.
+// Converting a unit to itself returns the value unchanged; a conversion that
+// cannot be resolved returns null. resolve() takes the same arguments and also
+// reports the interval behind answers that come from inverting a step formula.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ConversionEngine = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ==============================
+    // SAFE FORMULA PARSER
+    // ==============================
+    // Formulas are parsed into a small AST instead of being run through
+    // new Function, so pages work under a strict Content-Security-Policy and a
+    // formula can never execute arbitrary code. Supported syntax: numbers, the
+    // variable x, parentheses, unary + - !, * / %, + -, < <= > >=,
+    // === !== == !=, && || and the ternary ?: operator.
+
+    const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|(===|!==|==|!=|<=|>=|&&|\|\||[-+*/%<>!?:()])|([A-Za-z_$][\w$]*))/y;
+
+    const BINARY_PRECEDENCE = [
+        ['||'],
+        ['&&'],
+        ['===', '!==', '==', '!='],
+        ['<', '<=', '>', '>='],
+        ['+', '-'],
+        ['*', '/', '%']
+    ];
+
+    function tokenize(formula) {
+        const tokens = [];
+        TOKEN_PATTERN.lastIndex = 0;
+
+        while (TOKEN_PATTERN.lastIndex < formula.length) {
+            const start = TOKEN_PATTERN.lastIndex;
+            if (/^\s*$/.test(formula.slice(start))) break;
+
+            const match = TOKEN_PATTERN.exec(formula);
+            if (!match) {
+                throw new Error(`Unexpected character "${formula.slice(start).trim()[0]}" at position ${start}`);
+            }
+
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'number', value: parseFloat(match[1]), position: start });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'operator', value: match[2], position: start });
+            } else if (match[3] === 'x') {
+                tokens.push({ type: 'variable', value: 'x', position: start });
+            } else {
+                throw new Error(`Identifier "${match[3]}" is not allowed (only "x" may be used)`);
+            }
+        }
+
+        return tokens;
+    }
+
+    function parseFormula(formula) {
+        if (typeof formula !== 'string' || formula.trim() === '') {
+            throw new Error('Formula must be a non-empty string');
+        }
+
+        const tokens = tokenize(formula);
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+
+        function expect(value) {
+            if (!isOperator(value)) {
+                const token = peek();
+                throw new Error(token
+                    ? `Expected "${value}" but found "${token.value}" at position ${token.position}`
+                    : `Expected "${value}" but reached end of formula`);
+            }
+            pos++;
+        }
+
+        function parseTernary() {
+            const test = parseBinary(0);
+            if (!isOperator('?')) return test;
+
+            pos++;
+            const consequent = parseTernary();
+            expect(':');
+            const alternate = parseTernary();
+            return { type: 'ternary', test, consequent, alternate };
+        }
+
+        function parseBinary(level) {
+            if (level === BINARY_PRECEDENCE.length) return parseUnary();
+
+            let left = parseBinary(level + 1);
+            while (peek() && peek().type === 'operator' && BINARY_PRECEDENCE[level].includes(peek().value)) {
+                const op = tokens[pos++].value;
+                const right = parseBinary(level + 1);
+                left = { type: 'binary', op, left, right };
+            }
+            return left;
+        }
+
+        function parseUnary() {
+            if (isOperator('-') || isOperator('+') || isOperator('!')) {
+                const op = tokens[pos++].value;
+                return { type: 'unary', op, argument: parseUnary() };
+            }
+            return parsePrimary();
+        }
+
+        function parsePrimary() {
+            const token = peek();
+            if (!token) throw new Error('Unexpected end of formula');
+
+            if (token.type === 'number') {
+                pos++;
+                return { type: 'number', value: token.value };
+            }
+            if (token.type === 'variable') {
+                pos++;
+                return { type: 'variable' };
+            }
+            if (isOperator('(')) {
+                pos++;
+                const inner = parseTernary();
+                expect(')');
+                return inner;
+            }
+
+            throw new Error(`Unexpected "${token.value}" at position ${token.position}`);
+        }
+
+        const ast = parseTernary();
+        if (pos < tokens.length) {
+            throw new Error(`Unexpected "${peek().value}" at position ${peek().position}`);
+        }
+        return ast;
+    }
+
+    function evaluateNode(node, x) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'variable':
+                return x;
+            case 'unary': {
+                const value = evaluateNode(node.argument, x);
+                if (node.op === '-') return -value;
+                if (node.op === '+') return +value;
+                return !value;
+            }
+            case 'ternary':
+                return evaluateNode(node.test, x)
+                    ? evaluateNode(node.consequent, x)
+                    : evaluateNode(node.alternate, x);
+            case 'binary': {
+                const left = evaluateNode(node.left, x);
+                if (node.op === '&&') return left && evaluateNode(node.right, x);
+                if (node.op === '||') return left || evaluateNode(node.right, x);
+
+                const right = evaluateNode(node.right, x);
+                switch (node.op) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/': return left / right;
+                    case '%': return left % right;
+                    case '<': return left < right;
+                    case '<=': return left <= right;
+                    case '>': return left > right;
+                    case '>=': return left >= right;
+                    case '===': case '==': return left === right;
+                    case '!==': case '!=': return left !== right;
+                }
+            }
+        }
+        throw new Error(`Unknown formula node "${node.type}"`);
+    }
+
+    // ==============================
+    // FORMULA EVALUATION
+    // ==============================
+
+    const compiledFormulas = new Map();
+
+    function compileFormula(formula) {
+        if (!compiledFormulas.has(formula)) {
+            const ast = parseFormula(formula);
+            compiledFormulas.set(formula, (x) => evaluateNode(ast, x));
+        }
+        return compiledFormulas.get(formula);
+    }
+
+    function evaluateFormula(formula, x) {
+        try {
+            const result = compileFormula(formula)(x);
+            return typeof result === 'number' ? result : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Check every formula a converter carries; returns a list of problems
+    function validateFormulas(data) {
+        const problems = [];
+
+        ['conversionFormulas', 'ingredientFormulas'].forEach(list => {
+            if (!Array.isArray(data[list])) return;
+
+            data[list].forEach((entry, index) => {
+                try {
+                    parseFormula(entry && entry.formula);
+                } catch (e) {
+                    problems.push({ list, index, formula: entry && entry.formula, message: e.message });
+                }
+            });
+        });
+
+        return problems;
+    }
+
+    // ==============================
+    // FORMULA INVERSION
+    // ==============================
+    // A formula is analysed into pieces of the form a * x + b, each valid on an
+    // interval of x. Linear formulas become one piece and invert exactly; step
+    // and lookup formulas (nested ternaries) become constant pieces and invert to
+    // the interval that produces the requested value ("Gas Mark 4" -> 165-180).
+    // Anything else (x * x, %, boolean results) cannot be inverted and returns null.
+
+    const MAX_PIECES = 2000;
+    const EPSILON = 1e-9;
+    const FULL_DOMAIN = { min: -Infinity, max: Infinity, minOpen: true, maxOpen: true };
+    const analysedFormulas = new Map();
+
+    function intersectDomains(a, b) {
+        const min = Math.max(a.min, b.min);
+        const max = Math.min(a.max, b.max);
+        const minOpen = (a.min === min && a.minOpen) || (b.min === min && b.minOpen);
+        const maxOpen = (a.max === max && a.maxOpen) || (b.max === max && b.maxOpen);
+
+        if (min > max || (min === max && (minOpen || maxOpen))) return null;
+        return { min, max, minOpen, maxOpen };
+    }
+
+    function inDomain(x, domain) {
+        const aboveMin = domain.minOpen ? x > domain.min - EPSILON : x >= domain.min - EPSILON;
+        const belowMax = domain.maxOpen ? x < domain.max + EPSILON : x <= domain.max + EPSILON;
+        return aboveMin && belowMax && !(domain.minOpen && Math.abs(x - domain.min) < EPSILON) &&
+            !(domain.maxOpen && Math.abs(x - domain.max) < EPSILON);
+    }
+
+    function combinePieces(leftPieces, rightPieces, combine) {
+        const pieces = [];
+        for (const left of leftPieces) {
+            for (const right of rightPieces) {
+                const domain = intersectDomains(left.domain, right.domain);
+                if (!domain) continue;
+
+                const piece = combine(left, right);
+                if (!piece) return null;
+                pieces.push(Object.assign({ domain }, piece));
+            }
+        }
+        return pieces.length > MAX_PIECES ? null : pieces;
+    }
+
+    // Regions of x where (a * x + b) compared with 0 by op is true or false
+    function solveComparison(op, a, b) {
+        if (Math.abs(a) < EPSILON) {
+            const truth = compareValues(op, b, 0);
+            return [{ domain: FULL_DOMAIN, truth }];
+        }
+
+        const root = -b / a;
+        const below = { min: -Infinity, max: root, minOpen: true, maxOpen: true };
+        const above = { min: root, max: Infinity, minOpen: true, maxOpen: true };
+        const point = { min: root, max: root, minOpen: false, maxOpen: false };
+        // Sign of a * x + b below and above the root
+        const belowSign = a > 0 ? -1 : 1;
+
+        return [
+            { domain: below, truth: compareValues(op, belowSign, 0) },
+            { domain: point, truth: compareValues(op, 0, 0) },
+            { domain: above, truth: compareValues(op, -belowSign, 0) }
+        ];
+    }
+
+    function compareValues(op, left, right) {
+        switch (op) {
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '>=': return left >= right;
+            case '===': case '==': return left === right;
+            case '!==': case '!=': return left !== right;
+        }
+        return false;
+    }
+
+    function analyseNode(node) {
+        switch (node.type) {
+            case 'number':
+                return [{ domain: FULL_DOMAIN, a: 0, b: node.value }];
+            case 'variable':
+                return [{ domain: FULL_DOMAIN, a: 1, b: 0 }];
+            case 'unary': {
+                const pieces = analyseNode(node.argument);
+                if (!pieces) return null;
+                if (node.op === '!') {
+                    return pieces.every(p => 'truth' in p)
+                        ? pieces.map(p => ({ domain: p.domain, truth: !p.truth }))
+                        : null;
+                }
+                if (pieces.some(p => 'truth' in p)) return null;
+                return node.op === '-' ? pieces.map(p => ({ domain: p.domain, a: -p.a, b: -p.b })) : pieces;
+            }
+            case 'ternary': {
+                const tests = analyseNode(node.test);
+                const consequent = analyseNode(node.consequent);
+                const alternate = analyseNode(node.alternate);
+                if (!tests || !consequent || !alternate || tests.some(t => !('truth' in t))) return null;
+
+                const pieces = [];
+                for (const test of tests) {
+                    for (const branch of (test.truth ? consequent : alternate)) {
+                        const domain = intersectDomains(test.domain, branch.domain);
+                        if (domain) pieces.push(Object.assign({}, branch, { domain }));
+                    }
+                }
+                return pieces.length > MAX_PIECES ? null : pieces;
+            }
+            case 'binary':
+                return analyseBinary(node);
+        }
+        return null;
+    }
+
+    function analyseBinary(node) {
+        const left = analyseNode(node.left);
+        const right = analyseNode(node.right);
+        if (!left || !right) return null;
+
+        const isBoolean = (pieces) => pieces.every(p => 'truth' in p);
+        const isNumeric = (pieces) => pieces.every(p => !('truth' in p));
+
+        if (node.op === '&&' || node.op === '||') {
+            if (!isBoolean(left) || !isBoolean(right)) return null;
+            return combinePieces(left, right, (l, r) => ({
+                truth: node.op === '&&' ? l.truth && r.truth : l.truth || r.truth
+            }));
+        }
+
+        if (!isNumeric(left) || !isNumeric(right)) return null;
+
+        if (['<', '<=', '>', '>=', '===', '!==', '==', '!='].includes(node.op)) {
+            const pieces = [];
+            for (const l of left) {
+                for (const r of right) {
+                    const domain = intersectDomains(l.domain, r.domain);
+                    if (!domain) continue;
+
+                    for (const region of solveComparison(node.op, l.a - r.a, l.b - r.b)) {
+                        const regionDomain = intersectDomains(domain, region.domain);
+                        if (regionDomain) pieces.push({ domain: regionDomain, truth: region.truth });
+                    }
+                }
+            }
+            return pieces.length > MAX_PIECES ? null : pieces;
+        }
+
+        return combinePieces(left, right, (l, r) => {
+            switch (node.op) {
+                case '+': return { a: l.a + r.a, b: l.b + r.b };
+                case '-': return { a: l.a - r.a, b: l.b - r.b };
+                case '*':
+                    if (l.a === 0) return { a: l.b * r.a, b: l.b * r.b };
+                    if (r.a === 0) return { a: l.a * r.b, b: l.b * r.b };
+                    return null;
+                case '/':
+                    if (r.a === 0 && r.b !== 0) return { a: l.a / r.b, b: l.b / r.b };
+                    return null;
+            }
+            return null;
+        });
+    }
+
+    // Piecewise-linear form of a formula, or null when it cannot be analysed
+    function analyseFormula(formula) {
+        if (!analysedFormulas.has(formula)) {
+            let pieces = null;
+            try {
+                pieces = analyseNode(parseFormula(formula));
+                if (pieces && pieces.some(p => 'truth' in p)) pieces = null;
+            } catch (e) {
+                pieces = null;
+            }
+            analysedFormulas.set(formula, pieces);
+        }
+        return analysedFormulas.get(formula);
+    }
+
+    function isInvertible(formula) {
+        return analyseFormula(formula) !== null;
+    }
+
+    // Merge touching intervals so a step split across pieces reads as one range
+    function mergeDomains(domains) {
+        const sorted = domains.slice().sort((a, b) => a.min - b.min);
+        const merged = [];
+
+        for (const domain of sorted) {
+            const last = merged[merged.length - 1];
+            const touches = last && (domain.min < last.max ||
+                (Math.abs(domain.min - last.max) < EPSILON && !(domain.minOpen && last.maxOpen)));
+
+            if (touches) {
+                if (domain.max > last.max || (domain.max === last.max && !domain.maxOpen)) {
+                    last.max = domain.max;
+                    last.maxOpen = domain.maxOpen;
+                }
+            } else {
+                merged.push(Object.assign({}, domain));
+            }
+        }
+
+        return merged;
+    }
+
+    // Representative value of an interval: the closed end of a step, or its midpoint
+    function representativeValue(range) {
+        if (!isFinite(range.min)) return range.max;
+        if (!isFinite(range.max)) return range.min;
+        if (range.minOpen && !range.maxOpen) return range.max;
+        if (!range.minOpen && range.maxOpen) return range.min;
+        return (range.min + range.max) / 2;
+    }
+
+    // Solve formula(x) = value; returns { value, range } or null when there is no unique answer
+    function invertFormula(formula, value) {
+        const pieces = analyseFormula(formula);
+        if (!pieces) return null;
+
+        const matches = [];
+        for (const piece of pieces) {
+            if (piece.a !== 0) {
+                const x = (value - piece.b) / piece.a;
+                if (inDomain(x, piece.domain)) {
+                    matches.push({ min: x, max: x, minOpen: false, maxOpen: false });
+                }
+            } else if (Math.abs(piece.b - value) <= EPSILON * Math.max(1, Math.abs(value))) {
+                matches.push(piece.domain);
+            }
+        }
+
+        const ranges = mergeDomains(matches);
+        if (ranges.length !== 1) return null;
+
+        const range = ranges[0];
+        if (range.min === range.max) return { value: range.min, range: null };
+        return { value: representativeValue(range), range };
+    }
+
+    // Formulas that are only defined one way and cannot be inverted for the other
+    function findNonInvertibleFormulas(data) {
+        const formulas = Array.isArray(data.conversionFormulas) ? data.conversionFormulas : [];
+        const problems = [];
+
+        formulas.forEach((entry, index) => {
+            if (!entry || findFormula(formulas, entry.to, entry.from)) return;
+            if (!isInvertible(entry.formula)) {
+                problems.push({
+                    index,
+                    from: entry.from,
+                    to: entry.to,
+                    formula: entry.formula,
+                    message: `"${entry.to}" → "${entry.from}" cannot be derived by inverting this formula; add an explicit formula`
+                });
+            }
+        });
+
+        return problems;
+    }
+
+    // ==============================
+    // CONVERSION GRAPH
+    // ==============================
+    // Every conversions entry and conversionFormulas entry is an edge between
+    // two units. A conversion follows the shortest path between them; among
+    // paths of equal length, edges are preferred in the order ingredient
+    // formula, matrix factor, formula, unit registry, inverted formula,
+    // reciprocal factor. Registry edges come from the unitDefinitions the
+    // generator attaches (see unit-registry.js): any two units of the same
+    // dimension with a canonical factor convert linearly into each other.
+    // Selecting an ingredient adds its ingredientFormulas and, when the
+    // generator attached ingredientDensities (see ingredient-database.js),
+    // density-based mass↔volume edges ahead of all of these.
+
+    const EDGE_PRIORITY = { ingredient: 0, factor: 1, formula: 2, registry: 3, inverse: 4, reciprocal: 5 };
+    const graphs = typeof WeakMap !== 'undefined' ? new WeakMap() : null;
+
+    function findFormula(formulas, from, to) {
+        return formulas.find(f => f.from === from && f.to === to) || null;
+    }
+
+    function addEdge(graph, edge) {
+        if (!graph.has(edge.from)) graph.set(edge.from, []);
+        graph.get(edge.from).push(edge);
+    }
+
+    function buildGraph(data) {
+        if (graphs && graphs.has(data)) return graphs.get(data);
+
+        const graph = new Map();
+        const conversions = data.conversions && typeof data.conversions === 'object' ? data.conversions : {};
+
+        Object.keys(conversions).forEach(from => {
+            const row = conversions[from] || {};
+            Object.keys(row).forEach(to => {
+                const factor = row[to];
+                if (from === to || typeof factor !== 'number' || !isFinite(factor) || factor === 0) return;
+
+                addEdge(graph, { from, to, kind: 'factor', factor });
+                addEdge(graph, { from: to, to: from, kind: 'reciprocal', factor });
+            });
+        });
+
+        (Array.isArray(data.conversionFormulas) ? data.conversionFormulas : []).forEach(entry => {
+            if (!entry || entry.from === entry.to) return;
+
+            addEdge(graph, { from: entry.from, to: entry.to, kind: 'formula', formula: entry.formula });
+            if (isInvertible(entry.formula)) {
+                addEdge(graph, { from: entry.to, to: entry.from, kind: 'inverse', formula: entry.formula });
+            }
+        });
+
+        addRegistryEdges(graph, data.unitDefinitions);
+
+        graph.forEach(edges => edges.sort((a, b) => EDGE_PRIORITY[a.kind] - EDGE_PRIORITY[b.kind]));
+
+        if (graphs) graphs.set(data, graph);
+        return graph;
+    }
+
+    // value in `to` = (value in `from` * f1 + o1 - o2) / f2
+    function addRegistryEdges(graph, definitions) {
+        if (!definitions || typeof definitions !== 'object') return;
+
+        const names = Object.keys(definitions);
+        names.forEach(from => {
+            const a = definitions[from];
+            if (!a || typeof a.factor !== 'number') return;
+
+            names.forEach(to => {
+                const b = definitions[to];
+                if (from === to || !b || b.dimension !== a.dimension || typeof b.factor !== 'number' || b.factor === 0) return;
+
+                addEdge(graph, {
+                    from,
+                    to,
+                    kind: 'registry',
+                    factor: a.factor / b.factor,
+                    offset: ((a.offset || 0) - (b.offset || 0)) / b.factor
+                });
+            });
+        });
+    }
+
+    // Edges for the selected ingredient: its ingredientFormulas first, then
+    // mass↔volume edges derived from its density (g/ml) and the registry factors
+    function ingredientEdges(data, ingredient) {
+        if (!ingredient) return [];
+
+        const edges = (Array.isArray(data.ingredientFormulas) ? data.ingredientFormulas : [])
+            .filter(entry => entry && entry.ingredient === ingredient && entry.from !== entry.to)
+            .map(entry => ({ from: entry.from, to: entry.to, kind: 'ingredient', formula: entry.formula }));
+
+        const entry = data.ingredientDensities && data.ingredientDensities[ingredient];
+        const definitions = data.unitDefinitions || {};
+        if (!entry || typeof entry.density !== 'number' || !(entry.density > 0)) return edges;
+
+        const unitsOf = (dimension) => Object.keys(definitions).filter(name =>
+            definitions[name].dimension === dimension && typeof definitions[name].factor === 'number' && definitions[name].factor > 0);
+
+        unitsOf('mass').forEach(mass => {
+            unitsOf('volume').forEach(volume => {
+                // grams per one `volume` unit, divided by grams per one `mass` unit
+                const factor = definitions[volume].factor * entry.density / definitions[mass].factor;
+                edges.push({ from: volume, to: mass, kind: 'density', factor });
+                edges.push({ from: mass, to: volume, kind: 'density', factor: 1 / factor });
+            });
+        });
+
+        return edges;
+    }
+
+    function edgesFrom(graph, extraEdges, unit) {
+        const extra = extraEdges.filter(edge => edge.from === unit);
+        return extra.concat(graph.get(unit) || []);
+    }
+
+    // Apply one edge to a plain number; returns { value, range } or null
+    function applyEdge(edge, x) {
+        switch (edge.kind) {
+            case 'factor':
+            case 'density':
+                return { value: x * edge.factor, range: null };
+            case 'reciprocal':
+                return { value: x / edge.factor, range: null };
+            case 'registry':
+                return { value: x * edge.factor + edge.offset, range: null };
+            case 'formula':
+            case 'ingredient': {
+                const value = evaluateFormula(edge.formula, x);
+                return value === null ? null : { value, range: null };
+            }
+            case 'inverse':
+                return invertFormula(edge.formula, x);
+        }
+        return null;
+    }
+
+    // Carry an interval through a further edge by mapping its endpoints
+    function applyEdgeToRange(edge, range) {
+        const mapEndpoint = (x) => {
+            if (!isFinite(x)) {
+                if (edge.kind === 'factor' || edge.kind === 'density') return x * edge.factor;
+                if (edge.kind === 'reciprocal') return x / edge.factor;
+                if (edge.kind === 'registry') return x * edge.factor;
+                return null;
+            }
+            const result = applyEdge(edge, x);
+            return result ? result.value : null;
+        };
+
+        const min = mapEndpoint(range.min);
+        const max = mapEndpoint(range.max);
+        if (min === null || max === null) return null;
+
+        return min <= max
+            ? { min, max, minOpen: range.minOpen, maxOpen: range.maxOpen }
+            : { min: max, max: min, minOpen: range.maxOpen, maxOpen: range.minOpen };
+    }
+
+    // Breadth-first search that carries the converted value along each path,
+    // so an edge that fails for this particular value is simply skipped
+    function searchGraph(data, x, from, to, ingredient) {
+        const graph = buildGraph(data);
+        const extraEdges = ingredientEdges(data, ingredient);
+        const visited = new Map([[from, { value: x, range: null, path: [from] }]]);
+        let frontier = [from];
+
+        while (frontier.length > 0) {
+            const next = [];
+
+            for (const unit of frontier) {
+                const current = visited.get(unit);
+
+                for (const edge of edgesFrom(graph, extraEdges, unit)) {
+                    if (visited.has(edge.to)) continue;
+
+                    const result = applyEdge(edge, current.value);
+                    if (!result || typeof result.value !== 'number' || !isFinite(result.value)) continue;
+
+                    const range = current.range ? applyEdgeToRange(edge, current.range) : result.range;
+                    const state = { value: result.value, range, path: current.path.concat(edge.to) };
+
+                    if (edge.to === to) return state;
+                    visited.set(edge.to, state);
+                    next.push(edge.to);
+                }
+            }
+
+            frontier = next;
+        }
+
+        return null;
+    }
+
+    // ==============================
+    // QUANTITIES
+    // ==============================
+    // Kitchen quantities as people write them: 2, 0.25, .5, ½, 1½, 1 ½, 1/3,
+    // 1 1/3, signed and exponent values such as -18 or 1e-5, and ranges of them;
+    // and results rounded back to measures people own.
+
+    const UNICODE_FRACTIONS = {
+        '¼': 1 / 4, '½': 1 / 2, '¾': 3 / 4, '⅓': 1 / 3, '⅔': 2 / 3,
+        '⅕': 1 / 5, '⅖': 2 / 5, '⅗': 3 / 5, '⅘': 4 / 5, '⅙': 1 / 6, '⅚': 5 / 6,
+        '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8
+    };
+    const QUANTITY_PATTERN = /^([-+]?)(?:((?:\d+(?:\.\d+)?|\d*\.\d+)(?:e[-+]?\d+)?)|(\d+)?\s*([¼½¾⅓⅔⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])|(?:(\d+)\s+)?(\d+)\s*\/\s*(\d+))$/i;
+
+    // Returns the numeric value of a quantity, or null when it cannot be read
+    function parseQuantity(input) {
+        if (typeof input === 'number') return isFinite(input) ? input : null;
+        if (typeof input !== 'string') return null;
+
+        const match = input.trim().match(QUANTITY_PATTERN);
+        if (!match) return null;
+
+        const sign = match[1] === '-' ? -1 : 1;
+        if (match[2] !== undefined) return sign * Number(match[2]);
+        if (match[4] !== undefined) return sign * (Number(match[3] || 0) + UNICODE_FRACTIONS[match[4]]);
+
+        const denominator = Number(match[7]);
+        if (denominator === 0) return null;
+        return sign * (Number(match[5] || 0) + Number(match[6]) / denominator);
+    }
+
+    const RANGE_SEPARATOR = /\s*(?:-|–|—|\bto\b)\s*/;
+
+    // A quantity or a range such as 2-3, 1½–2 or 1 to 2, as { min, max }
+    // (min === max for a single quantity); null when it cannot be read
+    function parseQuantityRange(input) {
+        if (typeof input !== 'string') {
+            const value = parseQuantity(input);
+            return value === null ? null : { min: value, max: value };
+        }
+
+        const text = input.trim();
+        const value = parseQuantity(text);
+        if (value !== null) return { min: value, max: value };
+
+        // A "-" may also be a sign (-20 to -18), so try each separator until
+        // both sides read as quantities
+        const separator = new RegExp(RANGE_SEPARATOR.source, 'g');
+        let match;
+        while ((match = separator.exec(text)) !== null) {
+            if (match.index === 0) continue;
+
+            const min = parseQuantity(text.slice(0, match.index));
+            const max = parseQuantity(text.slice(match.index + match[0].length));
+            if (min !== null && max !== null) return min > max ? null : { min, max };
+        }
+        return null;
+    }
+
+    const FRACTION_GLYPHS = [
+        [1 / 8, '⅛'], [1 / 4, '¼'], [1 / 3, '⅓'], [3 / 8, '⅜'], [1 / 2, '½'],
+        [5 / 8, '⅝'], [2 / 3, '⅔'], [3 / 4, '¾'], [7 / 8, '⅞']
+    ];
+
+    // Nearest whole number plus one of `fractions` (default: eighths and
+    // thirds), as { value, text }: 2.3 => { value: 2.333…, text: '2⅓' }
+    function roundToFraction(value, fractions = FRACTION_GLYPHS.map(entry => entry[0])) {
+        const whole = Math.floor(value);
+        let best = whole;
+        fractions.concat(1).forEach(fraction => {
+            if (Math.abs(whole + fraction - value) < Math.abs(best - value)) best = whole + fraction;
+        });
+
+        const wholePart = Math.floor(best + 1e-9);
+        const glyph = FRACTION_GLYPHS.find(entry => Math.abs(entry[0] - (best - wholePart)) < 1e-9);
+        return {
+            value: best,
+            text: glyph ? (wholePart > 0 ? wholePart : '') + glyph[1] : String(wholePart)
+        };
+    }
+
+    // US cups and spoons in teaspoons, largest first, with the fractions
+    // measuring sets come in
+    const KITCHEN_MEASURES = [
+        { id: 'cup', label: 'cup', plural: 'cups', teaspoons: 48, fractions: [1 / 4, 1 / 3, 1 / 2, 2 / 3, 3 / 4] },
+        { id: 'tablespoon', label: 'tbsp', plural: 'tbsp', teaspoons: 3, fractions: [] },
+        { id: 'teaspoon', label: 'tsp', plural: 'tsp', teaspoons: 1, fractions: [1 / 8, 1 / 4, 1 / 2, 3 / 4] }
+    ];
+
+    function measureText(amount, measure) {
+        return amount.text + ' ' + (amount.value > 1 ? measure.plural : measure.label);
+    }
+
+    // Nearest practical measure for an amount of a cup, tablespoon or teaspoon
+    // unit (per unitDefinitions): a single measure such as "⅓ cup" when one is
+    // within 2%, otherwise that measure plus smaller spoons ("5 tbsp + 1 tsp").
+    // Returns { text, value } with value in `unit`, or null for other units and
+    // amounts under half the smallest spoon.
+    function kitchenMeasure(data, value, unit) {
+        const definition = data && data.unitDefinitions && data.unitDefinitions[unit];
+        const start = definition ? KITCHEN_MEASURES.findIndex(measure => measure.id === definition.id) : -1;
+        if (start === -1 || !(value > 0)) return null;
+
+        const measure = KITCHEN_MEASURES[start];
+        const teaspoons = value * measure.teaspoons;
+        const tolerance = Math.max(1 / 16, teaspoons * 0.02);
+
+        const single = roundToFraction(value, measure.fractions);
+        if (single.value > 0 && Math.abs(single.value - value) * measure.teaspoons <= tolerance) {
+            return { text: measureText(single, measure), value: single.value };
+        }
+
+        // Round to what the teaspoons can measure, then let each measure take
+        // what fits in whole units plus its largest fitting fraction
+        const teaspoon = KITCHEN_MEASURES[KITCHEN_MEASURES.length - 1];
+        const total = roundToFraction(teaspoons, teaspoon.fractions).value;
+        const parts = [];
+        let remaining = total;
+        KITCHEN_MEASURES.slice(start).forEach(current => {
+            const units = remaining / current.teaspoons + 1e-9;
+            const whole = Math.floor(units);
+            const fraction = current.fractions.filter(candidate => candidate <= units - whole).pop() || 0;
+            const amount = roundToFraction(whole + fraction, current.fractions);
+            if (amount.value <= 0) return;
+
+            parts.push(measureText(amount, current));
+            remaining -= amount.value * current.teaspoons;
+        });
+
+        if (parts.length === 0) return null;
+        return { text: parts.join(' + '), value: total / measure.teaspoons };
+    }
+
+    // Splits a volume into the fewest tools of a measuring set (data.measuringSets,
+    // attached from units.json; the first set when setId is unknown), within
+    // half the smallest tool or 2%, but never more than 2% of the largest tool,
+    // so large amounts keep every tool (50 cups => 50 × 1 cup, not 49). Returns { text, tools: [{ label, count }], value }
+    // with value in `unit`, or null for non-volume units and amounts under half
+    // the smallest tool.
+    function measureWithTools(data, value, unit, setId) {
+        const definition = data && data.unitDefinitions && data.unitDefinitions[unit];
+        const sets = data && Array.isArray(data.measuringSets) ? data.measuringSets : [];
+        const set = sets.find(candidate => candidate.id === setId) || sets[0];
+        if (!set || !definition || definition.dimension !== 'volume' || typeof definition.factor !== 'number') return null;
+        if (!(value > 0)) return null;
+
+        const tools = set.tools;
+        const volume = value * definition.factor;
+        const smallest = tools[tools.length - 1].size;
+        if (volume < smallest / 2) return null;
+        const tolerance = Math.max(smallest / 2, Math.min(volume, tools[0].size) * 0.02);
+
+        // All but the last one or two of the largest tool are taken up front,
+        // which keeps the search below to at most two of them
+        const counts = tools.map(() => 0);
+        counts[0] = Math.max(0, Math.floor(volume / tools[0].size) - 1);
+        const rest = volume - counts[0] * tools[0].size;
+
+        // Fewest tools for every total on a grid of a quarter of the smallest tool
+        const step = smallest / 4;
+        const sizes = tools.map(tool => Math.max(1, Math.round(tool.size / step)));
+        const limit = Math.floor((rest + tolerance) / step);
+        const fewest = [0];
+        const lastTool = [-1];
+        for (let total = 1; total <= limit; total++) {
+            fewest[total] = Infinity;
+            sizes.forEach((size, index) => {
+                if (size <= total && fewest[total - size] + 1 < fewest[total]) {
+                    fewest[total] = fewest[total - size] + 1;
+                    lastTool[total] = index;
+                }
+            });
+        }
+
+        let best = -1;
+        for (let total = 0; total <= limit; total++) {
+            const error = Math.abs(total * step - rest);
+            if (fewest[total] === Infinity || error > tolerance) continue;
+            if (best === -1 || fewest[total] < fewest[best] ||
+                (fewest[total] === fewest[best] && error < Math.abs(best * step - rest))) {
+                best = total;
+            }
+        }
+        if (best === -1) return null;
+
+        for (let total = best; total > 0; total -= sizes[lastTool[total]]) {
+            counts[lastTool[total]]++;
+        }
+
+        const used = tools
+            .map((tool, index) => ({ label: tool.label, count: counts[index] }))
+            .filter(tool => tool.count > 0);
+        const measured = tools.reduce((sum, tool, index) => sum + tool.size * counts[index], 0);
+        return {
+            text: used.map(tool => (tool.count > 1 ? tool.count + ' × ' : '') + tool.label).join(' + '),
+            tools: used,
+            value: measured / definition.factor
+        };
+    }
+
+    // ==============================
+    // RECIPE LINES
+    // ==============================
+    // Ingredient lines as recipes print them ("1 1/2 cups all-purpose flour,
+    // sifted", "250g butter"). Unit and ingredient names are looked up in
+    // data.unitNames (lower-case name => unit) and data.ingredientNames
+    // (name => ingredient id, matched ignoring case and punctuation).
+
+    const FRACTION_CHARACTERS = '¼½¾⅓⅔⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞';
+    const QUANTITY_START = new RegExp('^(?:[\\d' + FRACTION_CHARACTERS + ']|\\.\\d)');
+    const NUMBER_BEFORE_WORD = new RegExp('([\\d' + FRACTION_CHARACTERS + '])([a-zA-Z])', 'g');
+    const MAX_QUANTITY_WORDS = 4;
+    const MAX_UNIT_WORDS = 3;
+
+    function normalizeName(text) {
+        return text.toLowerCase().replace(/[^a-z0-9'\- ]+/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    // Longest ingredient name found as whole words in the text, as { id,
+    // start } with start the name's position in the normalized text; or null
+    function matchIngredient(data, text) {
+        const names = data.ingredientNames || {};
+        const haystack = ' ' + normalizeName(text) + ' ';
+        const match = Object.keys(names)
+            .filter(name => haystack.includes(' ' + normalizeName(name) + ' '))
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? { id: names[match], start: haystack.indexOf(' ' + normalizeName(match) + ' ') } : null;
+    }
+
+    function findIngredient(data, text) {
+        const match = matchIngredient(data, text);
+        return match ? match.id : null;
+    }
+
+    // { quantity: { min, max }, unit, ingredient, text, unknownUnit } where
+    // unit and ingredient are ids and text is the rest of the line after the
+    // unit; quantity, unit and ingredient are null when the line has none.
+    // Unit names are looked up in data.unitSymbols as written ("T", "t") and
+    // in data.unitNames in lower case; a unit listed in data.unitIngredients
+    // only counts for those ingredients. unknownUnit is the word between an
+    // amount and a known ingredient when it is not a unit ("2 knobs butter").
+    function parseIngredientLine(data, line) {
+        const words = String(line).trim()
+            .replace(/^[-*•]\s*/, '')
+            .replace(NUMBER_BEFORE_WORD, '$1 $2')
+            .split(/\s+/)
+            .filter(Boolean);
+        const unitNames = data.unitNames || {};
+        const unitSymbols = data.unitSymbols || {};
+        let quantity = null;
+        let unit = null;
+        let index = 0;
+
+        if (words.length > 0 && QUANTITY_START.test(words[0])) {
+            for (let count = Math.min(MAX_QUANTITY_WORDS, words.length); count > 0 && !quantity; count--) {
+                quantity = parseQuantityRange(words.slice(0, count).join(' '));
+                if (quantity) index = count;
+            }
+        }
+
+        const unitStart = index;
+        if (quantity) {
+            for (let count = Math.min(MAX_UNIT_WORDS, words.length - index); count > 0 && !unit; count--) {
+                const written = words.slice(index, index + count).join(' ').replace(/[.,]+$/, '');
+                const match = unitSymbols[written] || unitNames[written.toLowerCase()];
+                if (match) {
+                    unit = match;
+                    index += count;
+                }
+            }
+        }
+
+        if (unit && words[index] && words[index].toLowerCase() === 'of') index++;
+        let text = words.slice(index).join(' ');
+        let ingredient = matchIngredient(data, text);
+
+        const allowed = unit && data.unitIngredients && data.unitIngredients[unit];
+        if (allowed && !(ingredient && allowed.includes(ingredient.id))) {
+            // "2 sticks cinnamon": not a unit for this ingredient
+            index = unitStart;
+            unit = null;
+            text = words.slice(index).join(' ');
+            ingredient = matchIngredient(data, text);
+        }
+
+        const unknownUnit = quantity && !unit && ingredient && ingredient.start > 0 ? words[index] : null;
+        return { quantity, unit, ingredient: ingredient ? ingredient.id : null, text, unknownUnit };
+    }
+
+    function formatMetric(value, small, large) {
+        if (value >= 1000) return String(Number((value / 1000).toFixed(2))) + ' ' + large;
+        return String(value < 10 ? Number(value.toFixed(1)) : Math.round(value)) + ' ' + small;
+    }
+
+    // An amount restated in the units a cook in `system` would use. "metric":
+    // g/kg for masses and for volumes of ingredients with a density, ml/l for
+    // other volumes. "us": cups and spoons (see kitchenMeasure) for volumes and
+    // for masses of ingredients with a density, oz/lb for other masses.
+    // Returns { text, dimension } or null when the amount cannot be restated.
+    function toKitchenUnits(data, value, unit, system, ingredient) {
+        const definitions = data.unitDefinitions || {};
+        const definition = definitions[unit];
+        if (!definition || typeof definition.factor !== 'number' || !(value > 0)) return null;
+
+        const options = { ingredient: ingredient || null };
+        const hasDensity = Boolean(ingredient && data.ingredientDensities && data.ingredientDensities[ingredient] &&
+            data.ingredientDensities[ingredient].density > 0);
+        const convertTo = (target) => definitions[target] ? convert(data, value, unit, target, options) : null;
+
+        if (system === 'us') {
+            if (definition.dimension === 'volume' || hasDensity) {
+                const teaspoons = convertTo('teaspoon');
+                if (teaspoons === null) return null;
+                const target = teaspoons >= 12 ? 'cup' : teaspoons >= 3 ? 'tablespoon' : 'teaspoon';
+                const measure = kitchenMeasure(data, convertTo(target), target);
+                return measure ? { text: measure.text, dimension: 'volume' } : null;
+            }
+            const ounces = convertTo('ounce');
+            if (ounces === null) return null;
+            return {
+                text: ounces >= 16 ? Number((ounces / 16).toFixed(2)) + ' lb' : Number(ounces.toFixed(1)) + ' oz',
+                dimension: 'mass'
+            };
+        }
+
+        if (definition.dimension === 'mass' || hasDensity) {
+            const grams = convertTo('gram');
+            return grams === null ? null : { text: formatMetric(grams, 'g', 'kg'), dimension: 'mass' };
+        }
+        const milliliters = convertTo('milliliter');
+        return milliliters === null ? null : { text: formatMetric(milliliters, 'ml', 'l'), dimension: 'volume' };
+    }
+
+    // Counted items that only come whole
+    const WHOLE_ITEMS = /\b(?:eggs?|egg whites?|yolks?)\b/i;
+
+    // Raising agents, which do not scale in proportion with the recipe
+    const LEAVENING_INGREDIENTS = ['baking-soda', 'baking-powder'];
+    const LEAVENING_WORDS = /\byeast\b/i;
+
+    // A fraction within 5% ("1½"), otherwise a decimal ("1.05")
+    function formatAmount(value) {
+        const fraction = roundToFraction(value);
+        return fraction.value > 0 && Math.abs(fraction.value - value) <= value * 0.05
+            ? fraction.text
+            : String(Number(value.toFixed(2)));
+    }
+
+    // An amount in the friendliest unit of its own system and dimension
+    // (24 tsp => ½ cup, 1500 g => 1.5 kg); units outside the US and metric
+    // systems keep their unit
+    function restateAmount(data, value, unit) {
+        const definition = data.unitDefinitions && data.unitDefinitions[unit];
+        const system = !definition ? null : definition.system === 'metric' ? 'metric' : definition.system === 'US' ? 'us' : null;
+        const restated = system ? toKitchenUnits(data, value, unit, system, null) : null;
+        return restated ? restated.text : formatAmount(value) + ' ' + unit;
+    }
+
+    // A recipe line multiplied by factor. Returns { text, scaled, note,
+    // leavening }: scaled is false for lines kept as written, note explains
+    // any rounding and leavening marks raising agents.
+    function scaleIngredientLine(data, line, factor) {
+        const parsed = parseIngredientLine(data, line);
+        const leavening = LEAVENING_INGREDIENTS.includes(parsed.ingredient) || LEAVENING_WORDS.test(parsed.text);
+        if (!parsed.quantity) {
+            return { text: line, scaled: false, note: 'No amount found, kept as written', leavening };
+        }
+
+        const amounts = (parsed.quantity.min === parsed.quantity.max
+            ? [parsed.quantity.min]
+            : [parsed.quantity.min, parsed.quantity.max]).map(amount => amount * factor);
+        let texts;
+        let note = null;
+
+        if (parsed.unit) {
+            texts = amounts.map(amount => restateAmount(data, amount, parsed.unit));
+        } else if (WHOLE_ITEMS.test(parsed.text)) {
+            const whole = amounts.map(amount => Math.max(1, Math.round(amount)));
+            texts = whole.map(String);
+            if (whole.some((count, index) => Math.abs(count - amounts[index]) > 1e-9)) {
+                note = 'Rounded from ' + amounts.map(formatAmount).join(' – ') + ' to whole ' + parsed.text;
+            }
+            if (whole.length === 1 && whole[0] === 1) {
+                return { text: '1 ' + parsed.text.replace(/\beggs\b/i, 'egg'), scaled: true, note, leavening };
+            }
+        } else {
+            texts = amounts.map(formatAmount);
+        }
+
+        return { text: texts.join(' – ') + (parsed.text ? ' ' + parsed.text : ''), scaled: true, note, leavening };
+    }
+
+    // ==============================
+    // PANS
+    // ==============================
+    // Pans as { shape, unit: 'in' | 'cm', depth, cups } with the size fields
+    // of the shape: diameter for round and bundt pans (plus an optional tube
+    // diameter), width for square pans and width and length for rectangle and
+    // loaf pans. depth, or cups (the capacity printed on most bundt pans), is
+    // optional and only needed to compare by volume.
+
+    const PAN_UNITS = { in: 2.54, cm: 1 };
+    const PAN_SHAPES = ['round', 'square', 'rectangle', 'loaf', 'bundt'];
+    const CUP_ML = 236.5882365;
+
+    // Bundt tubes are roughly a quarter of the pan's diameter
+    const BUNDT_TUBE_RATIO = 0.25;
+
+    function panSize(pan, field) {
+        const value = Number(pan[field]) * PAN_UNITS[pan.unit || 'in'];
+        return value > 0 && isFinite(value) ? value : null;
+    }
+
+    // Base area in cm², or null when the pan is not fully described
+    function panArea(pan) {
+        if (!pan || !PAN_UNITS[pan.unit || 'in']) return null;
+
+        const size = (field) => panSize(pan, field);
+        let area = null;
+        if (pan.shape === 'round') area = Math.PI * Math.pow(size('diameter') / 2, 2);
+        if (pan.shape === 'square') area = Math.pow(size('width'), 2);
+        if (pan.shape === 'rectangle' || pan.shape === 'loaf') area = size('width') * size('length');
+        if (pan.shape === 'bundt') {
+            const tube = pan.tube ? size('tube') : size('diameter') * BUNDT_TUBE_RATIO;
+            area = Math.PI * (Math.pow(size('diameter') / 2, 2) - Math.pow(tube / 2, 2));
+        }
+        return area > 0 && isFinite(area) ? area : null;
+    }
+
+    // Capacity in ml from the printed cups, or base area times depth; null
+    // when neither is known. Sloped sides make this approximate, and fluted
+    // bundt pans hold far less than their outline suggests, so those need cups.
+    function panVolume(pan) {
+        if (pan && Number(pan.cups) > 0) return Number(pan.cups) * CUP_ML;
+        if (!pan || pan.shape === 'bundt') return null;
+
+        const area = panArea(pan);
+        const depth = area === null ? null : panSize(pan, 'depth');
+        return depth === null ? null : area * depth;
+    }
+
+    // Compares the pan a recipe was written for with the pan at hand. Uses
+    // volumes when both are known and base areas otherwise, and returns
+    // { fromArea, toArea, fromVolume, toVolume, basis, multiplier,
+    // bakeTimeFactor }, or null when either pan is not fully described.
+    function comparePans(from, to) {
+        const fromArea = panArea(from);
+        const toArea = panArea(to);
+        if (fromArea === null || toArea === null) return null;
+
+        const fromVolume = panVolume(from);
+        const toVolume = panVolume(to);
+        const byVolume = fromVolume !== null && toVolume !== null;
+
+        // Scaled batter fills both pans to the same share of their height, so
+        // the bake time roughly follows the batter depth; scaled by area the
+        // depth and the time stay the same
+        return {
+            fromArea,
+            toArea,
+            fromVolume,
+            toVolume,
+            basis: byVolume ? 'volume' : 'area',
+            multiplier: byVolume ? toVolume / fromVolume : toArea / fromArea,
+            bakeTimeFactor: byVolume ? (toVolume / toArea) / (fromVolume / fromArea) : 1
+        };
+    }
+
+    // "about the same", "about 20% longer" or "about 15% shorter", to the
+    // nearest 5%; anything closer is within normal oven variation
+    function describeBakeTime(factor) {
+        const percent = Math.round(Math.abs(factor - 1) * 20) * 5;
+        return Math.abs(factor - 1) < 0.05 ? 'about the same' : 'about ' + percent + '% ' + (factor > 1 ? 'longer' : 'shorter');
+    }
+
+    // ==============================
+    // PUBLIC API
+    // ==============================
+
+    // Full result: { value, range } where range is set when the answer is an
+    // interval (e.g. inverting a step formula), or null when unavailable
+    function resolve(data, value, from, to, options = {}) {
+        const x = Number(value);
+        if (!data || isNaN(x)) return null;
+        if (from === to) return { value: x, range: null };
+
+        const result = searchGraph(data, x, from, to, options.ingredient);
+        return result ? { value: result.value, range: result.range } : null;
+    }
+
+    // Units on the shortest path between two units, or null when they are not connected
+    function findPath(data, from, to, options = {}) {
+        if (from === to) return [from];
+
+        const graph = buildGraph(data);
+        const extraEdges = ingredientEdges(data, options.ingredient);
+        const previous = new Map([[from, null]]);
+        let frontier = [from];
+
+        while (frontier.length > 0) {
+            const next = [];
+            for (const unit of frontier) {
+                for (const edge of edgesFrom(graph, extraEdges, unit)) {
+                    if (previous.has(edge.to)) continue;
+                    previous.set(edge.to, unit);
+
+                    if (edge.to === to) {
+                        const path = [to];
+                        for (let step = unit; step !== null; step = previous.get(step)) path.unshift(step);
+                        return path;
+                    }
+                    next.push(edge.to);
+                }
+            }
+            frontier = next;
+        }
+
+        return null;
+    }
+
+    function convert(data, value, from, to, options = {}) {
+        const result = resolve(data, value, from, to, options);
+        return result ? result.value : null;
+    }
+
+    function canConvert(data, from, to, options = {}) {
+        return findPath(data, from, to, options) !== null;
+    }
+
+    function createConverter(data) {
+        return {
+            convert: (value, from, to, options) => convert(data, value, from, to, options),
+            resolve: (value, from, to, options) => resolve(data, value, from, to, options),
+            canConvert: (from, to, options) => canConvert(data, from, to, options),
+            findPath: (from, to, options) => findPath(data, from, to, options),
+            kitchenMeasure: (value, unit) => kitchenMeasure(data, value, unit),
+            measureWithTools: (value, unit, setId) => measureWithTools(data, value, unit, setId),
+            units: () => (Array.isArray(data.supportedUnits) ? data.supportedUnits.slice() : [])
+        };
+    }
+
+    return {
+        createConverter,
+        convert,
+        resolve,
+        canConvert,
+        findPath,
+        parseFormula,
+        evaluateFormula,
+        validateFormulas,
+        analyseFormula,
+        invertFormula,
+        findNonInvertibleFormulas,
+        parseQuantity,
+        parseQuantityRange,
+        roundToFraction,
+        kitchenMeasure,
+        measureWithTools,
+        parseIngredientLine,
+        toKitchenUnits,
+        scaleIngredientLine,
+        PAN_SHAPES,
+        panArea,
+        panVolume,
+        comparePans,
+        describeBakeTime
+    };
+});
@@ -0,0 +1,203 @@
+// dev-server.js
+// Local preview for `node generate.js --serve`. Serves the output directory
+// over HTTP, so relative links and URL parameters behave as they do in
+// production, rebuilds when a watched source file changes and tells every
+// open tab to reload through a server-sent events stream.
+//
+// The live-reload script is injected into HTML responses only; the files in
+// the output directory are never modified.
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const LIVE_RELOAD_PATH = '/__livereload';
+
+const LIVE_RELOAD_SCRIPT = `
+<script>
+(function () {
+    var source = new EventSource('${LIVE_RELOAD_PATH}');
+    source.onmessage = function (event) {
+        if (event.data === 'reload') location.reload();
+    };
+})();
+</script>
+`;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// File inside rootDir for a URL path, or null when the path escapes rootDir
+function resolveRequestPath(rootDir, urlPath) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(urlPath);
+    } catch (error) {
+        return null;
+    }
+
+    const root = path.resolve(rootDir);
+    const filePath = path.join(root, path.posix.normalize('/' + decoded));
+    return filePath === root || filePath.startsWith(root + path.sep) ? filePath : null;
+}
+
+function injectLiveReload(html) {
+    const index = html.toLowerCase().lastIndexOf('</body>');
+    return index === -1
+        ? html + LIVE_RELOAD_SCRIPT
+        : html.slice(0, index) + LIVE_RELOAD_SCRIPT + html.slice(index);
+}
+
+function sendText(response, status, text) {
+    response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end(text);
+}
+
+function createPreviewServer(rootDir) {
+    const clients = new Set();
+
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+
+        if (url.pathname === LIVE_RELOAD_PATH) {
+            response.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            response.write(': connected\n\n');
+            clients.add(response);
+            request.on('close', () => clients.delete(response));
+            return;
+        }
+
+        let filePath = resolveRequestPath(rootDir, url.pathname);
+        if (!filePath) {
+            sendText(response, 403, 'Forbidden');
+            return;
+        }
+
+        if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+            // Without the trailing slash, relative links such as ../ resolve one level off
+            if (!url.pathname.endsWith('/')) {
+                response.writeHead(301, { 'Location': url.pathname + '/' + url.search });
+                response.end();
+                return;
+            }
+            filePath = path.join(filePath, 'index.html');
+        }
+
+        fs.readFile(filePath, (error, content) => {
+            if (error) {
+                sendText(response, 404, `Not found: ${url.pathname}`);
+                return;
+            }
+
+            const extension = path.extname(filePath).toLowerCase();
+            const body = extension === '.html' ? injectLiveReload(content.toString('utf8')) : content;
+
+            response.writeHead(200, {
+                'Content-Type': MIME_TYPES[extension] || 'application/octet-stream',
+                'Cache-Control': 'no-store'
+            });
+            response.end(body);
+        });
+    });
+
+    return {
+        server,
+        reload() {
+            clients.forEach(client => client.write('data: reload\n\n'));
+        }
+    };
+}
+
+// Calls onChange with the changed names once saves settle. Watching the
+// directory rather than each file also catches editors that save by
+// replacing the file.
+function watchFiles(dir, fileNames, onChange, delay = 150) {
+    const changed = new Set();
+    let timer = null;
+
+    return fs.watch(dir, (eventType, fileName) => {
+        if (!fileName || !fileNames.includes(fileName)) return;
+
+        changed.add(fileName);
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            const files = [...changed];
+            changed.clear();
+            onChange(files);
+        }, delay);
+    });
+}
+
+// options: rootDir, port, host, watchDir, files and rebuild(changedFiles).
+// rebuild may return false to report a failed build, which skips the reload.
+function startDevServer(options) {
+    const preview = createPreviewServer(options.rootDir);
+    const host = options.host || 'localhost';
+    let building = false;
+    let pending = null;
+
+    // Changes that arrive mid-build are batched into one follow-up build
+    async function rebuild(files) {
+        if (building) {
+            pending = [...new Set([...(pending || []), ...files])];
+            return;
+        }
+
+        building = true;
+        try {
+            if (await options.rebuild(files) !== false) {
+                preview.reload();
+            }
+        } catch (error) {
+            console.error('❌ Rebuild failed:', error.message);
+        }
+        building = false;
+
+        if (pending) {
+            const next = pending;
+            pending = null;
+            rebuild(next);
+        }
+    }
+
+    watchFiles(options.watchDir, options.files, files => {
+        console.log(`\n🔄 Changed: ${files.join(', ')}`);
+        rebuild(files);
+    });
+
+    preview.server.on('error', error => {
+        if (error.code === 'EADDRINUSE') {
+            console.error(`❌ Port ${options.port} is already in use. Try --port <number>`);
+        } else {
+            console.error('❌ Preview server error:', error.message);
+        }
+        process.exit(1);
+    });
+
+    preview.server.listen(options.port, host, () => {
+        console.log(`\n👀 Previewing ${options.rootDir} at http://${host}:${options.port}/`);
+        console.log(`   Watching ${options.files.join(', ')} (Ctrl+C to stop)`);
+    });
+
+    return preview;
+}
+
+module.exports = {
+    startDevServer
+};
@@ -2,7 +2,24 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
 const { existsSync, mkdirSync } = require('fs');
+const ConversionEngine = require('./conversion-engine');
+const UnitRegistry = require('./unit-registry');
+const IngredientDatabase = require('./ingredient-database');
+const DevServer = require('./dev-server');
+
+// Engine source, written once to public/js/ and loaded by the pages with a
+// converter widget, so the widget and the build share one implementation
+const CONVERSION_ENGINE_JS = fs.readFileSync(path.join(__dirname, 'conversion-engine.js'), 'utf8');
+const CONVERSION_ENGINE_FILE = 'js/conversion-engine.js';
+
+// Script tag for the engine from a page `prefix` levels below the root ('', '../../');
+// the version query changes with the engine so browsers do not keep an old copy
+function generateEngineScript(prefix) {
+    return `<script src="${prefix}${CONVERSION_ENGINE_FILE}?v=${contentHash(CONVERSION_ENGINE_JS)}"></script>`;
+}
 
 // ==============================
 // LOAD JSON CONFIGURATION
@@ -12,17 +29,38 @@ let CONFIG = {};
 let CONVERTERS = {};
 let CONTENT = {};
 let BLOGS = {}; // NEW: Add blogs variable
+let PANS = {};
+
+// Also called by --serve before every rebuild; throws when a file fails to parse
+function loadSiteData() {
+    // Reloaded every time so --serve picks up edits to units and densities
+    UnitRegistry.loadUnitRegistry();
+    IngredientDatabase.loadIngredientDatabase();
 
-try {
     CONFIG = JSON.parse(fs.readFileSync('./config.json', 'utf8'));
     CONVERTERS = JSON.parse(fs.readFileSync('./converters.json', 'utf8'));
+    // Attach registry definitions so same-dimension units convert without a hand-written matrix,
+    // the measuring sets for converters with volume units, then ingredient densities for
+    // every converter that mixes mass and volume units
+    CONVERTERS.converters = (CONVERTERS.converters || [])
+        .map(UnitRegistry.attachUnitDefinitions)
+        .map(UnitRegistry.attachMeasuringSets)
+        .map(IngredientDatabase.attachIngredientData);
     CONTENT = JSON.parse(fs.readFileSync('./content.json', 'utf8'));
 
     // NEW: Load blogs if file exists
+    BLOGS = {};
     if (existsSync('./blogs.json')) {
         BLOGS = JSON.parse(fs.readFileSync('./blogs.json', 'utf8'));
         console.log(`📝 Loaded ${BLOGS.blogs ? BLOGS.blogs.length : 0} blog posts`);
     }
+
+    // Baking pans for the recipe scaler
+    PANS = existsSync('./pans.json') ? JSON.parse(fs.readFileSync('./pans.json', 'utf8')) : { pans: [] };
+}
+
+try {
+    loadSiteData();
 } catch (error) {
     console.error('❌ Error loading JSON files:', error.message);
 
@@ -42,6 +80,9 @@ try {
         console.error('   - Each converter must have id, slug, title, description');
         console.error('   - Check for trailing commas in arrays/objects');
         console.error('   - Verify all quotes are properly closed');
+    } else if (errorMessage.includes('units.json') || errorMessage.includes('Unit ')) {
+        console.error('📁 Failed to load the unit registry: units.json');
+        console.error('🔑 Each unit needs an id and a known dimension, and no name may belong to two units');
     } else if (errorMessage.includes('content.json')) {
         console.error('📁 Failed to parse: content.json');
         console.error('🔑 Check the structure of content.json, especially:');
@@ -109,6 +150,13 @@ function formatDate(date = new Date()) {
     return date.toISOString().split('T')[0];
 }
 
+// "2026-01-31" → "January 31, 2026"
+function formatDisplayDate(isoDate) {
+    return new Date(isoDate + 'T00:00:00Z').toLocaleDateString('en-US', {
+        year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+    });
+}
+
 function slugify(text) {
     return text.toLowerCase()
         .replace(/[^\w\s-]/g, '')
@@ -148,6 +196,19 @@ function generateNavigation(currentPage = '', location = 'root') {
             return paths[target];
         }
 
+        if (currentLoc.startsWith('converters/category/')) {
+            const paths = {
+                home: '../../../index.html',
+                converters: '../../',
+                blog: '../../../blog/',
+                about: '../../../about/index.html',
+                contact: '../../../contact/index.html',
+                privacy: '../../../privacy/index.html',
+                terms: '../../../terms/index.html'
+            };
+            return paths[target];
+        }
+
         if (currentLoc.startsWith('converters/')) {
             const paths = {
                 home: '../../index.html',
@@ -161,6 +222,21 @@ function generateNavigation(currentPage = '', location = 'root') {
             return paths[target];
         }
 
+        // Blog archives nest deeper than posts, e.g. blog/category/baking/page/2
+        if (currentLoc.startsWith('blog/') && currentLoc.split('/').length > 2) {
+            const up = '../'.repeat(currentLoc.split('/').length);
+            const paths = {
+                home: up + 'index.html',
+                converters: up + 'converters/',
+                blog: up + 'blog/',
+                about: up + 'about/index.html',
+                contact: up + 'contact/index.html',
+                privacy: up + 'privacy/index.html',
+                terms: up + 'terms/index.html'
+            };
+            return paths[target];
+        }
+
         if (currentLoc.startsWith('blog/')) {
             const paths = {
                 home: '../../index.html',
@@ -214,20 +290,84 @@ function generateNavigation(currentPage = '', location = 'root') {
     `;
 }
 
-function getRelatedConverters(currentConverterId, category) {
-    if (!category) return [];
+// Weights for the related-converter similarity score. Each overlap is a
+// Jaccard index (0–1); popularity (0–100) only breaks ties between equally
+// similar converters.
+const RELATED_SCORE_WEIGHTS = {
+    categories: 3,
+    units: 3,
+    subcategory: 2,
+    keywords: 2,
+    popularity: 0.5
+};
+const RELATED_LIMIT = 4;
+
+function jaccard(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    if (setA.size === 0 || setB.size === 0) return 0;
+
+    let shared = 0;
+    setA.forEach(item => { if (setB.has(item)) shared++; });
+    return shared / (setA.size + setB.size - shared);
+}
+
+// Units compared by registry id so "cup us" and "cup" count as the same unit
+function relatedUnitIds(converter) {
+    const definitions = converter.unitDefinitions || {};
+    return (converter.supportedUnits || []).map(unit => definitions[unit]?.id || unit);
+}
+
+function relatedKeywordTokens(converter) {
+    return (converter.keywords || [])
+        .join(' ')
+        .toLowerCase()
+        .split(/[^a-z0-9°]+/)
+        .filter(word => word.length > 2);
+}
+
+function scoreRelatedConverter(converter, candidate) {
+    const w = RELATED_SCORE_WEIGHTS;
+    const similarity =
+        w.categories * jaccard(converter.categories || [], candidate.categories || []) +
+        w.units * jaccard(relatedUnitIds(converter), relatedUnitIds(candidate)) +
+        (converter.subcategory && converter.subcategory === candidate.subcategory ? w.subcategory : 0) +
+        w.keywords * jaccard(relatedKeywordTokens(converter), relatedKeywordTokens(candidate));
+
+    if (similarity === 0) return 0;
+    return similarity + w.popularity * ((candidate.popularity || 0) / 100);
+}
+
+// Valid manualRelatedLinks first, then the highest-scoring converters up to RELATED_LIMIT
+function getRelatedConverters(converter, limit = RELATED_LIMIT) {
+    const related = (converter.manualRelatedLinks || [])
+        .map(linkId => CONVERTERS.converters.find(c => c.id === linkId))
+        .filter((found, index, list) => found && found.id !== converter.id && list.indexOf(found) === index);
+
+    const scored = CONVERTERS.converters
+        .filter(c => c.id !== converter.id && !related.includes(c))
+        .map(c => ({ converter: c, score: scoreRelatedConverter(converter, c) }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    for (const entry of scored) {
+        if (related.length >= limit) break;
+        related.push(entry.converter);
+    }
 
-    return CONVERTERS.converters
-        .filter(c => c.id !== currentConverterId && c.category === category)
-        .slice(0, 4);
+    return related;
 }
 
 function generateBreadcrumbs(pageType, pageData = {}, location = 'root') {
     let breadcrumbs = [];
 
+    // Relative path back to the site root for pages nested below /blog/
+    const up = pageType === 'blogArchive' ? '../'.repeat(location.split('/').length) : null;
+
     breadcrumbs.push({
         name: 'Home',
-        url: location === 'root' ? 'index.html' : '../index.html'
+        url: up ? up + 'index.html'
+            : location === 'root' ? 'index.html' : location === 'category' ? '../../../index.html' : '../index.html'
     });
 
     if (pageType === 'blog') {
@@ -248,6 +388,26 @@ function generateBreadcrumbs(pageType, pageData = {}, location = 'root') {
         });
     }
 
+    // Blog › Category: Baking › Page 2; the last crumb is the current page
+    if (pageType === 'blogArchive') {
+        breadcrumbs.push({
+            name: 'Blog',
+            url: up + 'blog/'
+        });
+        if (pageData.archiveUrl) {
+            breadcrumbs.push({
+                name: pageData.title,
+                url: pageData.page > 1 ? up + pageData.archiveUrl : '#current'
+            });
+        }
+        if (pageData.page > 1) {
+            breadcrumbs.push({
+                name: `Page ${pageData.page}`,
+                url: '#current'
+            });
+        }
+    }
+
     if (pageType === 'converter') {
         breadcrumbs.push({
             name: 'Converters',
@@ -266,6 +426,17 @@ function generateBreadcrumbs(pageType, pageData = {}, location = 'root') {
         });
     }
 
+    if (pageType === 'category') {
+        breadcrumbs.push({
+            name: 'Converters',
+            url: '../../'
+        });
+        breadcrumbs.push({
+            name: pageData.title || 'Category',
+            url: '#current'
+        });
+    }
+
     if (pageType === 'static') {
         breadcrumbs.push({
             name: pageData.title || 'Page',
@@ -301,7 +472,7 @@ function generateBreadcrumbSchema(pageType, pageData = {}, location = 'root') {
         "@type": "ListItem",
         "position": position++,
         "name": "Home",
-        "item": baseUrl + (location === 'root' ? '/' : '../')
+        "item": baseUrl + (location === 'root' || location === 'category' || pageType === 'blogArchive' ? '/' : '../')
     });
 
     if (pageType === 'blog') {
@@ -352,6 +523,42 @@ function generateBreadcrumbSchema(pageType, pageData = {}, location = 'root') {
             "name": pageData.title || 'Converter',
             "item": baseUrl + '/converters/' + pageData.slug + '/'
         });
+    } else if (pageType === 'blogArchive') {
+        schemaItems.push({
+            "@type": "ListItem",
+            "position": position++,
+            "name": "Blog",
+            "item": baseUrl + '/blog/'
+        });
+        if (pageData.archiveUrl) {
+            schemaItems.push({
+                "@type": "ListItem",
+                "position": position++,
+                "name": pageData.title,
+                "item": baseUrl + '/' + pageData.archiveUrl
+            });
+        }
+        if (pageData.page > 1) {
+            schemaItems.push({
+                "@type": "ListItem",
+                "position": position++,
+                "name": `Page ${pageData.page}`,
+                "item": baseUrl + pageData.url
+            });
+        }
+    } else if (pageType === 'category') {
+        schemaItems.push({
+            "@type": "ListItem",
+            "position": position++,
+            "name": "Converters",
+            "item": baseUrl + '/converters/'
+        });
+        schemaItems.push({
+            "@type": "ListItem",
+            "position": position++,
+            "name": pageData.title || 'Category',
+            "item": baseUrl + pageData.url
+        });
     } else if (pageType === 'static' && pageData.title) {
         schemaItems.push({
             "@type": "ListItem",
@@ -404,6 +611,20 @@ function generateFooter(location = 'root') {
             return paths[target];
         }
 
+        if (currentLoc.startsWith('converters/category/')) {
+            const paths = {
+                home: '../../../index.html',
+                converters: '../../',
+                blog: '../../../blog/',
+                about: '../../../about/index.html',
+                contact: '../../../contact/index.html',
+                privacy: '../../../privacy/index.html',
+                terms: '../../../terms/index.html',
+                sitemap: '../../../sitemap.xml'
+            };
+            return paths[target];
+        }
+
         if (currentLoc.startsWith('converters/')) {
             const paths = {
                 home: '../../index.html',
@@ -418,6 +639,22 @@ function generateFooter(location = 'root') {
             return paths[target];
         }
 
+        // Blog archives nest deeper than posts, e.g. blog/category/baking/page/2
+        if (currentLoc.startsWith('blog/') && currentLoc.split('/').length > 2) {
+            const up = '../'.repeat(currentLoc.split('/').length);
+            const paths = {
+                home: up + 'index.html',
+                converters: up + 'converters/',
+                blog: up + 'blog/',
+                about: up + 'about/index.html',
+                contact: up + 'contact/index.html',
+                privacy: up + 'privacy/index.html',
+                terms: up + 'terms/index.html',
+                sitemap: up + 'sitemap.xml'
+            };
+            return paths[target];
+        }
+
         if (currentLoc.startsWith('blog/')) {
             const paths = {
                 home: '../../index.html',
@@ -476,7 +713,6 @@ function generateFooter(location = 'root') {
                 </div>
                 <div class="copyright">
                     <p>&copy; ${year} ${CONFIG.site.name}. All rights reserved.</p>
-                    <p>Generated on: ${formatDate()}</p>
                 </div>
             </div>
         </footer>
@@ -499,16 +735,29 @@ function generateHeroSection(converter) {
 }
 
 function generateConverterUI(converter) {
-    const hasIngredients = converter.ingredientFormulas && Array.isArray(converter.ingredientFormulas);
+    // Ingredients come from the density database plus any formula-only ingredients
+    const densities = converter.ingredientDensities || {};
+    const ingredients = Object.keys(densities).map(id => ({ id, name: densities[id].name }));
+    (converter.ingredientFormulas || []).forEach(f => {
+        if (f.ingredient && !ingredients.some(ing => ing.id === f.ingredient)) {
+            ingredients.push({ id: f.ingredient, name: f.ingredient });
+        }
+    });
+    const hasIngredients = ingredients.length > 0;
+    const hasKitchenMeasures = (converter.supportedUnits || [])
+        .some(unit => ConversionEngine.kitchenMeasure(converter, 1, unit) !== null);
 
-    // Extract unique ingredients
     let ingredientOptions = '';
     if (hasIngredients) {
-        const ingredients = [...new Set(converter.ingredientFormulas.map(f => f.ingredient))];
-        ingredientOptions = ingredients.map(ing => '<option value="' + ing + '">' + ing + '</option>').join('');
+        ingredientOptions = ingredients.map(ing => '<option value="' + ing.id + '">' + ing.name + '</option>').join('');
     }
 
-    return '\n    <section class="content-section converter-ui-section">\n        <div class="converter-wrapper">\n            <div class="converter-ui">\n                <div class="converter-box">\n                    <input type="number" id="fromValue" class="converter-input" value="' + (converter.defaults?.value || 1) + '" step="0.01" aria-label="Value to convert">\n                    <select id="fromUnit" class="converter-select" aria-label="Convert from unit"></select>\n                </div>\n                <button class="converter-swap" aria-label="Swap units">⇄</button>\n                <div class="converter-box">\n                    <input type="number" id="toValue" class="converter-input" readonly aria-label="Converted value">\n                    <select id="toUnit" class="converter-select" aria-label="Convert to unit"></select>\n                </div>\n            </div>\n            \n            ' + (hasIngredients ? '\n            <div class="ingredient-selector">\n                <label for="ingredientSelect">Ingredient (optional):</label>\n                <select id="ingredientSelect" class="converter-select" aria-label="Select ingredient">\n                    <option value="">-- Generic conversion --</option>\n                    ' + ingredientOptions + '\n                </select>\n            </div>\n            ' : '') + '\n            \n            <div class="converter-result" id="converterResult"></div>\n            <script type="application/json" id="converter-data">\n            ' + JSON.stringify(converter) + '\n            </script>\n        </div>\n    </section>\n    ';
+    // Result formats besides plain decimals; measuring sets are only attached to converters with volume units
+    const outputModes = (hasKitchenMeasures ? [{ value: 'kitchen', label: 'Kitchen fractions (⅓ cup, 5 tbsp + 1 tsp)' }] : [])
+        .concat((converter.measuringSets || []).map(set => ({ value: 'tools-' + set.id, label: 'Measuring tools: ' + set.name })));
+    const outputModeOptions = outputModes.map(mode => '<option value="' + mode.value + '">' + mode.label + '</option>').join('');
+
+    return '\n    <section class="content-section converter-ui-section">\n        <div class="converter-wrapper">\n            <div class="converter-ui">\n                <div class="converter-box">\n                    <input type="text" id="fromValue" class="converter-input" value="' + (converter.defaults?.value || 1) + '" autocomplete="off" placeholder="e.g. 1 1/2" aria-label="Value to convert, e.g. 2, 1 1/2, ¾ or 2-3">\n                    <select id="fromUnit" class="converter-select" aria-label="Convert from unit"></select>\n                </div>\n                <button class="converter-swap" aria-label="Swap units">⇄</button>\n                <div class="converter-box">\n                    <input type="text" id="toValue" class="converter-input" readonly aria-label="Converted value">\n                    <select id="toUnit" class="converter-select" aria-label="Convert to unit"></select>\n                </div>\n            </div>\n            \n            ' + (hasIngredients ? '\n            <div class="ingredient-selector">\n                <label for="ingredientSelect">Ingredient (optional):</label>\n                <select id="ingredientSelect" class="converter-select" aria-label="Select ingredient">\n                    <option value="">-- Generic conversion --</option>\n                    ' + ingredientOptions + '\n                </select>\n            </div>\n            ' : '') + (outputModes.length > 0 ? '\n            <div class="output-mode">\n                <label for="outputMode">Show result as:</label>\n                <select id="outputMode" class="converter-select">\n                    <option value="">Decimal</option>\n                    ' + outputModeOptions + '\n                </select>\n            </div>\n            ' : '') + '\n            \n            <div class="converter-result" id="converterResult"></div>\n            <script type="application/json" id="converter-data">\n            ' + JSON.stringify(converter) + '\n            </script>\n        </div>\n    </section>\n    ';
 }
 
 function generateQuickReferenceSection(converter) {
@@ -641,6 +890,107 @@ function generateComparisonTableSection(converter) {
     `;
 }
 
+// Shared markup for sortable tables with a copy button per row. Cells are
+// plain values or { display, sort } when the text does not sort naturally (e.g. "¼").
+function renderSortableTable(section, columns, rows, className) {
+    const displayOf = (cell) => cell !== null && typeof cell === 'object' ? cell.display : cell;
+    const copyText = (cells) => cells.map((cell, index) => `${columns[index]}: ${displayOf(cell)}`).join(', ').replace(/"/g, '&quot;');
+
+    return `
+    <section class="content-section ${className}">
+        <div class="section-header">
+            <h2>${section.title || 'Conversion Table'}</h2>
+            ${section.description ? `<p class="section-description">${section.description}</p>` : ''}
+        </div>
+        <div class="table-container">
+            <table class="comparison-table conversion-table">
+                <thead>
+                    <tr>
+                        ${columns.map((col, index) => `<th aria-sort="none"><button type="button" class="table-sort" data-column="${index}">${col}</button></th>`).join('')}
+                        <th>Copy</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(cells => `
+                    <tr>
+                        ${cells.map((cell, index) => `
+                        <td data-label="${columns[index] || ''}"${cell !== null && typeof cell === 'object' ? ` data-sort="${cell.sort}"` : ''}>${displayOf(cell)}</td>
+                        `).join('')}
+                        <td class="table-copy-cell"><button type="button" class="table-copy" data-copy="${copyText(cells)}" aria-label="Copy row">Copy</button></td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    </section>
+    `;
+}
+
+function generateConversionTableSection(converter) {
+    const section = converter.contentSections?.conversionTable;
+    if (!section) return '';
+
+    const rows = section.rows || [];
+    if (rows.length === 0) return '';
+
+    const columns = section.columns || Object.keys(rows[0]);
+    // Cells are looked up by column name, falling back to position for rows keyed from/to/factor
+    const cellsOf = (row) => columns.map((col, index) => row[col] !== undefined ? row[col] : Object.values(row)[index]);
+
+    return renderSortableTable(section, columns, rows.map(cellsOf), 'conversion-table-section');
+}
+
+// Rounded for tables: whole numbers from 100 up, one decimal from 10, two below
+function formatTableValue(number) {
+    const digits = Math.abs(number) >= 100 ? 0 : Math.abs(number) >= 10 ? 1 : 2;
+    return String(Number(number.toFixed(digits)));
+}
+
+// Table computed at build time from the conversion engine, so it always
+// agrees with the widget on the same page
+function generateGeneratedTableSection(converter) {
+    const section = converter.contentSections?.generatedTable;
+    if (!section || !section.from || !section.to) return '';
+
+    const values = (section.values || [])
+        .map(label => ({ label: String(label), value: ConversionEngine.parseQuantity(label) }))
+        .filter(entry => entry.value !== null);
+    if (values.length === 0) return '';
+
+    const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+    const densities = converter.ingredientDensities || {};
+    const ingredients = (section.ingredients || []).map(name => {
+        const ingredient = IngredientDatabase.resolveIngredient(name);
+        const id = ingredient ? ingredient.id : name;
+        return { id, name: densities[id]?.name || (ingredient ? ingredient.name : name) };
+    });
+
+    const convertCell = (value, ingredient) => {
+        const result = ConversionEngine.resolve(converter, value, section.from, section.to, { ingredient });
+        if (!result) return '—';
+        if (result.range) {
+            const { min, max } = result.range;
+            if (!isFinite(min)) return `up to ${formatTableValue(max)}`;
+            if (!isFinite(max)) return `above ${formatTableValue(min)}`;
+            return `${formatTableValue(min)}–${formatTableValue(max)}`;
+        }
+        return formatTableValue(result.value);
+    };
+
+    const columns = ingredients.length > 0
+        ? [`${capitalize(section.from)} → ${section.to}`, ...ingredients.map(ing => ing.name)]
+        : [capitalize(section.from), capitalize(section.to)];
+
+    const rows = values.map(({ label, value }) => [
+        { display: label, sort: value },
+        ...(ingredients.length > 0
+            ? ingredients.map(ing => convertCell(value, ing.id))
+            : [convertCell(value, null)])
+    ]);
+
+    return renderSortableTable(section, columns, rows, 'generated-table-section');
+}
+
 function generateVisualChartSection(converter) {
     const section = converter.contentSections?.visualChart;
     if (!section) return '';
@@ -946,45 +1296,9 @@ function generateFAQSection(converter) {
 }
 
 function generateRelatedConvertersSection(converter) {
-    console.log(`\n=== DEBUG for ${converter.id} ===`);
-    console.log('1. Manual Links:', converter.manualRelatedLinks);
-
-    let related = [];
-
-    // 1. MANUAL LIST CHECK
-    if (converter.manualRelatedLinks && Array.isArray(converter.manualRelatedLinks)) {
-        console.log('2. Processing manual links...');
-
-        for (const linkId of converter.manualRelatedLinks) {
-            // Find converter by ID
-            const found = CONVERTERS.converters.find(c => c.id === linkId);
-            console.log(`   Looking for "${linkId}":`, found ? `FOUND (${found.title})` : 'NOT FOUND');
-
-            if (found && found.id !== converter.id) { // Don't link to itself
-                related.push(found);
-            }
-        }
-
-        console.log('3. Manual list result:', related.map(c => c.id));
-    }
-
-    // 2. FALLBACK TO CATEGORY
-    if (related.length === 0) {
-        console.log('4. Falling back to category-based...');
-        related = getRelatedConverters(converter.id, converter.category);
-        console.log('5. Category result:', related.map(c => c.id));
-    }
-
-    // 3. FINAL CHECK
-    console.log('6. Final related list:', related.map(c => c.id));
+    const related = getRelatedConverters(converter);
+    if (related.length === 0) return '';
 
-    if (related.length === 0) {
-        console.log('7. No related converters found.');
-        return '';
-    }
-
-    // 4. GENERATE HTML
-    console.log('8. Generating HTML block...\n');
     return `
     <section class="content-section related-converters">
         <h2>Related Converters</h2>
@@ -1026,6 +1340,12 @@ function generateContentBySequence(converter) {
             case 'comparisonTable':
                 content += generateComparisonTableSection(converter);
                 break;
+            case 'conversionTable':
+                content += generateConversionTableSection(converter);
+                break;
+            case 'generatedTable':
+                content += generateGeneratedTableSection(converter);
+                break;
             case 'visualChart':
                 content += generateVisualChartSection(converter);
                 break;
@@ -1066,6 +1386,43 @@ function generateContentBySequence(converter) {
 // BLOG FUNCTIONS
 // ==============================
 
+// The day a build publishes as; posts dated after it are held back until a
+// later build. generateWebsite sets it from --as-of (default: today).
+let AS_OF_DATE = formatDate();
+
+// Not unpublished, but with a published_date after AS_OF_DATE
+function isBlogScheduled(blog) {
+    return blog.published !== false && isValidDate(blog.published_date) && blog.published_date > AS_OF_DATE;
+}
+
+function isBlogLive(blog) {
+    return blog.published !== false && !isBlogScheduled(blog);
+}
+
+// Scheduled posts, soonest first
+function getScheduledBlogs() {
+    return (BLOGS.blogs || [])
+        .filter(isBlogScheduled)
+        .sort((a, b) => a.published_date.localeCompare(b.published_date));
+}
+
+function printScheduledBlogs() {
+    const scheduled = getScheduledBlogs();
+    if (scheduled.length === 0) {
+        console.log(`\n📅 No posts scheduled after ${AS_OF_DATE}`);
+        return;
+    }
+
+    console.log(`\n📅 Scheduled posts (held back as of ${AS_OF_DATE}):`);
+    scheduled.forEach(blog => console.log(`   ${blog.published_date}  ${blog.slug} — ${blog.title}`));
+}
+
+// Live posts, one per slug; a later post with the same slug replaces the earlier one
+function getPublishedBlogs() {
+    const published = (BLOGS.blogs || []).filter(isBlogLive);
+    return [...new Map(published.map(blog => [blog.slug, blog])).values()];
+}
+
 function generateBlogContent(content) {
     if (!content) return '';
 
@@ -1101,15 +1458,186 @@ function generateBlogContent(content) {
     return html;
 }
 
+// Replaces every [text] placeholder with the link whose text matches
+function parseRichContent(content, links = []) {
+    if (!content) return '';
+
+    let parsedContent = content;
+    links.forEach(link => {
+        if (!link || !link.text || !link.url) return;
+        parsedContent = parsedContent.split(`[${link.text}]`).join(
+            `<a href="${link.url}" target="${link.target || '_self'}" rel="${link.rel || 'noopener'}">${link.text}</a>`
+        );
+    });
+
+    return parsedContent;
+}
+
+// Sections a post can list in contentSequence. "intro" at the top level is
+// the post's own intro text and "content" places the plain content array.
+const BLOG_SECTION_TYPES = ['intro', 'content', 'paragraphTable', 'bulletList', 'cardGrid', 'faq', 'cta'];
+
+function blogSectionLinks(blog, section) {
+    return [...(blog.links || []), ...(section.links || [])];
+}
+
+function generateBlogSectionHeader(section, defaultTitle) {
+    return `
+        <div class="section-header">
+            <h2>${section.title || defaultTitle}</h2>
+            ${section.description ? `<p class="section-description">${section.description}</p>` : ''}
+        </div>`;
+}
+
+function generateBlogSection(blog, sectionType) {
+    const section = blog.contentSections?.[sectionType];
+    if (!section) return '';
+
+    const links = blogSectionLinks(blog, section);
+    const intro = section.content ? `<div class="rich-content">${parseRichContent(section.content, links)}</div>` : '';
+
+    switch (sectionType) {
+        case 'intro':
+            return `
+    <section class="content-section intro-section">
+        ${generateBlogSectionHeader(section, 'Introduction')}
+        ${intro}
+    </section>
+    `;
+
+        case 'paragraphTable': {
+            const headers = section.tableData?.headers || [];
+            const rows = section.tableData?.rows || [];
+            return `
+    <section class="content-section">
+        ${generateBlogSectionHeader(section, 'Quick Reference')}
+        ${intro}
+        ${rows.length > 0 ? `
+        <div class="table-container">
+            <table class="comparison-table">
+                <thead>
+                    <tr>
+                        ${headers.map(header => `<th>${header}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                    <tr>
+                        ${row.map((cell, index) => `<td data-label="${headers[index] || ''}">${parseRichContent(String(cell), links)}</td>`).join('')}
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        ` : ''}
+    </section>
+    `;
+        }
+
+        case 'bulletList':
+            return `
+    <section class="content-section">
+        ${generateBlogSectionHeader(section, 'Key Points')}
+        ${intro}
+        ${section.items ? `
+        <ul class="styled-list rich-content">
+            ${section.items.map(item => `<li>${parseRichContent(item, links)}</li>`).join('')}
+        </ul>
+        ` : ''}
+    </section>
+    `;
+
+        case 'cardGrid':
+            return `
+    <section class="content-section">
+        ${generateBlogSectionHeader(section, 'Tools & Resources')}
+        ${intro}
+        ${section.cards ? `
+        <div class="cards-grid">
+            ${section.cards.map(card => `
+            <article class="card-item">
+                <h3>${card.title}</h3>
+                <p class="rich-content">${parseRichContent(card.description, links)}</p>
+                ${card.link ? `<a href="${card.link.url}" class="card-link" target="${card.link.target || '_self'}" rel="${card.link.rel || 'noopener'}">${card.link.text}</a>` : ''}
+            </article>
+            `).join('')}
+        </div>
+        ` : ''}
+    </section>
+    `;
+
+        case 'faq':
+            return `
+    <section class="content-section faq-section">
+        ${generateBlogSectionHeader(section, 'Frequently Asked Questions')}
+        <div class="faq-container">
+            ${(section.faqs || []).map(faq => `
+            <div class="faq-item">
+                <button class="faq-question" aria-expanded="false">
+                    ${parseRichContent(faq.question, [...links, ...(faq.links || [])])}
+                    <span>+</span>
+                </button>
+                <div class="faq-answer rich-content" style="display: none;">
+                    <p>${parseRichContent(faq.answer, [...links, ...(faq.links || [])])}</p>
+                </div>
+            </div>
+            `).join('')}
+        </div>
+    </section>
+    `;
+
+        case 'cta':
+            return `
+    <section class="content-section cta-section">
+        <h2>${section.title || 'Ready to Convert?'}</h2>
+        <p class="rich-content">${parseRichContent(section.text || 'Try our accurate converters for all your measurement needs.', links)}</p>
+        ${section.buttons ? `
+        <div class="cta-buttons">
+            ${section.buttons.map(button => `
+            <a href="${button.url}" class="cta-button ${button.style || 'primary'}" target="${button.target || '_self'}" rel="${button.rel || 'noopener'}">${button.text}</a>
+            `).join('')}
+        </div>
+        ` : ''}
+    </section>
+    `;
+
+        default:
+            return '';
+    }
+}
+
+// Posts with a contentSequence are built from contentSections like converter
+// pages; posts without one keep rendering their plain content array
+function generateBlogContentBySequence(blog) {
+    return blog.contentSequence.map(sectionType => {
+        if (sectionType === 'content') {
+            return generateBlogContent(blog.content);
+        }
+        if (sectionType === 'intro' && !blog.contentSections?.intro) {
+            return blog.intro ? `<div class="rich-content"><p>${parseRichContent(blog.intro, blog.links || [])}</p></div>` : '';
+        }
+        return generateBlogSection(blog, sectionType);
+    }).join('');
+}
+
+// Article HTML shared by the post page and the full-content feeds
+function generateBlogBody(blog) {
+    return Array.isArray(blog.contentSequence)
+        ? generateBlogContentBySequence(blog)
+        : generateBlogContent(blog.content);
+}
+
 function generateBlogPost(blog) {
     const page = {
         title: blog.title,
         description: blog.description || blog.title,
         url: `/blog/${blog.slug}/`,
-        type: 'blog'
+        type: 'blog',
+        datePublished: isValidDate(blog.published_date) ? blog.published_date : undefined,
+        dateModified: isValidDate(blog.published_date) ? blogUpdatedDate(blog) : undefined
     };
 
-    const blogContent = generateBlogContent(blog.content);
+    const blogContent = generateBlogBody(blog);
 
     return `
 <!DOCTYPE html>
@@ -1133,7 +1661,8 @@ function generateBlogPost(blog) {
                 <div style="margin:1rem 0;padding:1rem;background:var(--background);border-radius:8px;border-left:4px solid var(--primary);">
                     ${blog.published_date ? `<p><strong>Published:</strong> ${formatDate(new Date(blog.published_date))}</p>` : ''}
                     ${blog.author ? `<p><strong>Author:</strong> ${blog.author}</p>` : ''}
-                    ${blog.category ? `<p><strong>Category:</strong> ${blog.category}</p>` : ''}
+                    ${blog.category ? `<p><strong>Category:</strong> <a href="../../${getBlogCategoryUrl(blog.category)}">${blog.category}</a></p>` : ''}
+                    ${Array.isArray(blog.keywords) && blog.keywords.length > 0 ? `<p><strong>Tags:</strong> ${blog.keywords.map(tag => `<a href="../../${getBlogTagUrl(tag)}">${tag}</a>`).join(', ')}</p>` : ''}
                     ${blog.read_time ? `<p><strong>Read time:</strong> ${blog.read_time} minutes</p>` : ''}
                 </div>
 
@@ -1161,66 +1690,156 @@ function generateBlogPost(blog) {
     `;
 }
 
-function generateBlogsIndex() {
-    if (!BLOGS.blogs || BLOGS.blogs.length === 0) {
-        return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    ${generateMetaTags({
-        title: 'Blog | ' + CONFIG.site.name,
-        description: 'Read our latest articles and guides',
-        url: '/blog/',
-        type: 'blogIndex'
-    })}
-    <style>${STYLES}</style>
-</head>
-<body>
-    ${generateNavigation('blog', 'blog')}
-    ${generateBreadcrumbs('blogIndex', {title: 'Blog'}, 'blog')}
-    ${generateBreadcrumbSchema('blogIndex', {title: 'Blog'}, 'blog')}
-    <main class="main-content">
-        <div class="container">
-            <div class="card">
-                <h1 style="color:var(--primary);">Blog</h1>
-                <p>No blog posts available.</p>
-            </div>
-        </div>
-    </main>
-    ${generateFooter('blog')}
-</body>
-</html>
-        `;
-    }
+const DEFAULT_BLOG_POSTS_PER_PAGE = 10;
 
-    const publishedBlogs = BLOGS.blogs.filter(blog => blog.published !== false);
+// config.json "blog.postsPerPage"; lists longer than this are split into /page/2/, /page/3/, ...
+function getBlogPostsPerPage() {
+    const size = CONFIG.blog && CONFIG.blog.postsPerPage;
+    return Number.isInteger(size) && size > 0 ? size : DEFAULT_BLOG_POSTS_PER_PAGE;
+}
 
-    return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    ${generateMetaTags({
-        title: 'Blog | ' + CONFIG.site.name,
-        description: 'Read our latest articles and guides',
-        url: '/blog/',
-        type: 'blogIndex'
-    })}
-    <style>${STYLES}</style>
-</head>
-<body>
-    ${generateNavigation('blog', 'blog')}
-    ${generateBreadcrumbs('blogIndex', {title: 'Blog'}, 'blog')}
-    ${generateBreadcrumbSchema('blogIndex', {title: 'Blog'}, 'blog')}
+// Newest first; posts without a valid published_date follow in file order
+function sortBlogsByDate(blogs) {
+    return blogs
+        .map((blog, index) => ({ blog, index, date: isValidDate(blog.published_date) ? blog.published_date : '' }))
+        .sort((a, b) => b.date.localeCompare(a.date) || a.index - b.index)
+        .map(entry => entry.blog);
+}
 
-    <main class="main-content">
+function getBlogCategoryUrl(category) {
+    return `blog/category/${slugify(category)}/`;
+}
+
+function getBlogTagUrl(tag) {
+    return `blog/tag/${slugify(tag)}/`;
+}
+
+// One archive per blog category and per keyword tag; names that slugify
+// the same ("Baking" and "baking") share an archive
+function getBlogArchives() {
+    const archives = new Map();
+    const addTo = (type, name, blog) => {
+        const slug = slugify(String(name));
+        if (!slug) return;
+
+        const key = type + '/' + slug;
+        if (!archives.has(key)) {
+            archives.set(key, { type, name: String(name).trim(), slug, posts: [] });
+        }
+        const archive = archives.get(key);
+        if (!archive.posts.includes(blog)) archive.posts.push(blog);
+    };
+
+    sortBlogsByDate(getPublishedBlogs()).forEach(blog => {
+        if (blog.category) addTo('category', blog.category, blog);
+        (Array.isArray(blog.keywords) ? blog.keywords : []).forEach(tag => addTo('tag', tag, blog));
+    });
+
+    return [...archives.values()].sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+}
+
+// Every blog listing page: the main index and each archive, paginated.
+// path is relative to the site root, e.g. "blog/category/baking/page/2/".
+function getBlogListPages() {
+    const size = getBlogPostsPerPage();
+    const lists = [{
+        basePath: 'blog/',
+        title: 'Blog',
+        description: 'Read our latest articles and guides',
+        intro: 'Read our latest articles, guides, and cooking tips.',
+        posts: sortBlogsByDate(getPublishedBlogs())
+    }];
+
+    getBlogArchives().forEach(archive => {
+        const label = archive.type === 'category' ? 'Category' : 'Tag';
+        lists.push({
+            basePath: `blog/${archive.type}/${archive.slug}/`,
+            archive,
+            title: `${label}: ${archive.name}`,
+            description: `Articles ${archive.type === 'category' ? 'in' : 'tagged'} ${archive.name} from the ${CONFIG.site.name} blog`,
+            intro: `${archive.posts.length} article${archive.posts.length === 1 ? '' : 's'} ${archive.type === 'category' ? 'in' : 'tagged'} “${archive.name}”.`,
+            posts: archive.posts
+        });
+    });
+
+    return lists.flatMap(list => {
+        const pageCount = Math.max(1, Math.ceil(list.posts.length / size));
+        return Array.from({ length: pageCount }, (_, index) => Object.assign({}, list, {
+            page: index + 1,
+            pageCount,
+            path: index === 0 ? list.basePath : `${list.basePath}page/${index + 1}/`,
+            posts: list.posts.slice(index * size, (index + 1) * size)
+        }));
+    });
+}
+
+function generateBlogPagination(listPage, up) {
+    if (listPage.pageCount <= 1) return '';
+
+    const pageUrl = page => up + (page === 1 ? listPage.basePath : `${listPage.basePath}page/${page}/`);
+
+    return `
+            <nav class="blog-pagination" aria-label="Blog pages">
+                ${listPage.page > 1 ? `<a href="${pageUrl(listPage.page - 1)}" rel="prev">← Newer</a>` : ''}
+                ${Array.from({ length: listPage.pageCount }, (_, index) => index + 1).map(page => page === listPage.page
+                    ? `<span class="current" aria-current="page">${page}</span>`
+                    : `<a href="${pageUrl(page)}">${page}</a>`).join('')}
+                ${listPage.page < listPage.pageCount ? `<a href="${pageUrl(listPage.page + 1)}" rel="next">Older →</a>` : ''}
+            </nav>`;
+}
+
+function generateBlogListPage(listPage) {
+    const location = listPage.path.replace(/\/$/, '');
+    // Relative path from this page back to the site root
+    const up = '../'.repeat(location.split('/').length);
+    const pageSuffix = listPage.page > 1 ? ` – Page ${listPage.page}` : '';
+    const categories = getBlogArchives().filter(archive => archive.type === 'category');
+
+    const page = {
+        title: listPage.title + pageSuffix,
+        description: listPage.description,
+        url: '/' + listPage.path,
+        type: 'blogIndex'
+    };
+    const crumbs = {
+        title: listPage.title,
+        archiveUrl: listPage.archive ? listPage.basePath : null,
+        page: listPage.page,
+        url: page.url
+    };
+    const breadcrumbType = listPage.archive || listPage.page > 1 ? 'blogArchive' : 'blogIndex';
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    ${generateMetaTags(page)}
+    <style>${STYLES}</style>
+</head>
+<body>
+    ${generateNavigation('blog', location)}
+    ${generateBreadcrumbs(breadcrumbType, crumbs, location)}
+    ${generateBreadcrumbSchema(breadcrumbType, crumbs, location)}
+
+    <main class="main-content">
         <div class="container">
             <div class="card">
-                <h1 style="color:var(--primary);font-size:1.75rem;">Blog</h1>
-                <p style="margin:1rem 0;font-size:1.1rem;">Read our latest articles, guides, and cooking tips.</p>
+                <h1 style="color:var(--primary);font-size:1.75rem;">${listPage.title}${pageSuffix}</h1>
+                <p style="margin:1rem 0;font-size:1.1rem;">${listPage.posts.length > 0 ? listPage.intro : 'No blog posts available.'}</p>
+
+                ${categories.length > 0 ? `
+                <div class="category-filters">
+                    <span style="font-weight: 600; margin-right: 0.5rem; font-size: 0.9rem;">Categories:</span>
+                    <a href="${up}blog/" class="category-link">All posts</a>
+                    ${categories.map(category => `
+                    <a href="${up}${getBlogCategoryUrl(category.name)}" class="category-link">${category.name}</a>
+                    `).join('')}
+                </div>
+                ` : ''}
             </div>
 
             <div class="converters-grid" style="margin-top:1.5rem;">
-                ${publishedBlogs.map(blog => `
+                ${listPage.posts.map(blog => `
                 <div class="converter-card">
                     ${blog.featured_image ? `
                     <div style="margin:-1.25rem -1.25rem 1rem -1.25rem;border-radius:12px 12px 0 0;overflow:hidden;">
@@ -1237,7 +1856,7 @@ function generateBlogsIndex() {
                             ${formatDate(new Date(blog.published_date))}
                         </span>
                         ` : ''}
-                        <a href="${blog.slug}/" style="
+                        <a href="${up}blog/${blog.slug}/" style="
                             padding:0.5rem 1rem;
                             background:var(--primary);
                             color:white;
@@ -1251,10 +1870,11 @@ function generateBlogsIndex() {
                 </div>
                 `).join('')}
             </div>
+            ${generateBlogPagination(listPage, up)}
         </div>
     </main>
 
-    ${generateFooter('blog')}
+    ${generateFooter(location)}
     <script>${CONVERTER_JS}</script>
 </body>
 </html>
@@ -1362,6 +1982,85 @@ function getCategoryDisplayName(category) {
     return categoryConfig[category] || category.charAt(0).toUpperCase() + category.slice(1);
 }
 
+// Landing pages live at /converters/category/<slug>/
+function getCategorySlug(category) {
+    return slugify(category);
+}
+
+function getCategoryConverters(category) {
+    return sortByPopularity(CONVERTERS.converters.filter(converter =>
+        Array.isArray(converter.categories) && converter.categories.includes(category)));
+}
+
+// Tool pages that list the category in content.json
+function getCategoryTools(category) {
+    return getToolPages().filter(tool => Array.isArray(tool.categories) && tool.categories.includes(category));
+}
+
+// Categories that get a landing page; empty ones would be thin pages
+function getCategoryPages() {
+    return getAllCategories().filter(category =>
+        getCategoryConverters(category).length > 0 || getCategoryTools(category).length > 0);
+}
+
+// Intro paragraph from config.categoryIntros, with a generic fallback
+function getCategoryIntro(category) {
+    const intros = CONFIG.categoryIntros || {};
+    const count = getCategoryConverters(category).length;
+    return intros[category] ||
+        `Browse ${count} ${getCategoryDisplayName(category).toLowerCase()} converter${count === 1 ? '' : 's'} for accurate cooking and baking measurements.`;
+}
+
+// Most popular first; converters without a popularity score follow in file order
+function sortByPopularity(converters) {
+    return converters
+        .map((converter, index) => ({ converter, index }))
+        .sort((a, b) => (b.converter.popularity ?? -1) - (a.converter.popularity ?? -1) || a.index - b.index)
+        .map(entry => entry.converter);
+}
+
+// Card used by the homepage and converters index grids; basePath is the
+// path from the page to the converters directory
+function generateConverterCard(converter, basePath) {
+    return `
+                <div class="converter-card"
+                     data-title="${converter.title}"
+                     data-description="${converter.description}"
+                     data-categories="${converter.categories ? converter.categories.join(',') : ''}"
+                     data-subcategory="${converter.subcategory || ''}"
+                     data-subcategory-label="${converter.subcategory ? getCategoryDisplayName(converter.subcategory) : 'Other'}">
+                    <h3 style="color: var(--primary-dark); margin-bottom: 0.5rem; font-size: 1.1rem;">${converter.title}</h3>
+                    <p style="margin-bottom: 0.75rem; font-size: 0.85rem; color: var(--text);">
+                        ${converter.description}
+                    </p>
+
+                    <!-- Category Tags -->
+                    ${converter.categories && Array.isArray(converter.categories) ? `
+                    <div class="category-tags">
+                        ${converter.categories.map(cat => `
+                        <span class="category-tag">${getCategoryDisplayName(cat)}</span>
+                        `).join('')}
+                    </div>
+                    ` : ''}
+
+                    ${converter.lastUpdated ? `<p class="updated-stamp">Updated ${formatDisplayDate(converter.lastUpdated)}</p>` : ''}
+
+                    <a href="${basePath}${converter.slug}/" style="
+                        display: inline-block;
+                        margin-top: 1rem;
+                        padding: 0.5rem 1rem;
+                        background: var(--primary);
+                        color: white;
+                        text-decoration: none;
+                        border-radius: 4px;
+                        font-weight: 500;
+                        transition: background 0.3s;
+                        font-size: 0.9rem;
+                    ">Use Converter</a>
+                </div>
+                `;
+}
+
 // ==============================
 // IMPROVED CSS STYLES (Mobile-First Responsive Design)
 // ==============================
@@ -1553,7 +2252,8 @@ body {
     align-items: center;
 }
 
-.category-filter {
+.category-filter,
+.category-link {
     padding: 0.5rem 0.75rem;
     background: var(--background);
     border: 2px solid var(--border);
@@ -1569,7 +2269,8 @@ body {
 }
 
 .category-filter:hover,
-.category-filter.active {
+.category-filter.active,
+.category-link:hover {
     background: var(--primary);
     color: white;
     border-color: var(--primary);
@@ -1811,6 +2512,27 @@ body {
     display: block;
 }
 
+.output-mode {
+    margin: 0 auto 1rem;
+    width: 100%;
+    max-width: 500px;
+    text-align: center;
+}
+
+.output-mode label {
+    display: block;
+    margin-bottom: 0.5rem;
+    font-weight: 500;
+    color: var(--text);
+}
+
+.output-mode select {
+    width: 100%;
+    max-width: 300px;
+    margin: 0 auto;
+    display: block;
+}
+
 /* ===== SIMPLE RESPONSIVE TABLES - JUST CSS FIX ===== */
 .table-container {
     margin: 1rem 0;
@@ -1856,6 +2578,64 @@ body {
     background-color: var(--background);
 }
 
+/* Sortable conversion table */
+.conversion-table .table-sort {
+    background: none;
+    border: none;
+    color: inherit;
+    font: inherit;
+    font-weight: 600;
+    cursor: pointer;
+    padding: 0;
+}
+
+.conversion-table .table-sort::after {
+    content: ' ↕';
+    opacity: 0.6;
+}
+
+.conversion-table th[aria-sort="ascending"] .table-sort::after {
+    content: ' ↑';
+    opacity: 1;
+}
+
+.conversion-table th[aria-sort="descending"] .table-sort::after {
+    content: ' ↓';
+    opacity: 1;
+}
+
+.conversion-table .table-copy {
+    background: var(--background);
+    border: 1px solid var(--border);
+    border-radius: 6px;
+    padding: 0.25rem 0.75rem;
+    font-size: 0.85rem;
+    cursor: pointer;
+    color: var(--text);
+}
+
+.conversion-table .table-copy:hover {
+    border-color: var(--primary);
+    color: var(--primary);
+}
+
+/* Last-updated stamp and subcategory groups */
+.updated-stamp {
+    font-size: 0.8rem;
+    color: var(--text);
+    opacity: 0.75;
+    margin: 0.5rem 0 0;
+}
+
+.subcategory-heading {
+    grid-column: 1 / -1;
+    color: var(--primary-dark);
+    font-size: 1.1rem;
+    margin: 0.5rem 0 0;
+    padding-bottom: 0.25rem;
+    border-bottom: 2px solid var(--border);
+}
+
 /* MOBILE: Horizontal scrolling for tables */
 @media (max-width: 767px) {
     .table-container {
@@ -2591,96 +3371,402 @@ body {
     font-weight: bold;
 }
 
-/* ===== BACK TO CONVERTERS LINK ===== */
-.back-to-converters {
-    margin: 0.5rem 0 1rem;
-    padding-bottom: 1rem;
-    border-bottom: 1px solid var(--border);
-    width: 100%;
+/* ===== BLOG PAGINATION ===== */
+.blog-pagination {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: center;
+    gap: 0.5rem;
+    margin: 1.5rem 0;
 }
 
-.back-to-converters a {
-    color: var(--primary);
+.blog-pagination a,
+.blog-pagination .current {
+    padding: 0.4rem 0.8rem;
+    border: 2px solid var(--border);
+    border-radius: 4px;
     text-decoration: none;
-    font-weight: 500;
-    display: inline-flex;
-    align-items: center;
-    gap: 0.5rem;
-    transition: color 0.3s;
+    color: var(--text);
     font-size: 0.9rem;
 }
 
-.back-to-converters a:hover {
-    color: var(--primary-dark);
+.blog-pagination a:hover,
+.blog-pagination .current {
+    background: var(--primary);
+    border-color: var(--primary);
+    color: white;
+}
+
+/* ===== RICH BLOG SECTIONS ===== */
+.rich-content a {
+    color: var(--primary);
     text-decoration: underline;
 }
 
-/* ===== TWO COLUMN LAYOUT FOR CONVERTER PAGES ===== */
-.converter-page-layout {
-    display: flex;
-    flex-direction: column;
-    gap: 1.5rem;
-    align-items: stretch;
-    width: 100%;
+.rich-content a:hover {
+    color: var(--primary-dark);
 }
 
-.converter-main-content {
-    flex: 1;
-    min-width: 0;
-    width: 100%;
+.styled-list {
+    list-style: none;
+    padding: 0;
+    margin: 1rem 0 0;
 }
 
-/* ===== SIDEBAR ADS ===== */
-.sidebar-ad-container {
-    width: 100%;
-    margin-top: 1.5rem;
+.styled-list li {
+    position: relative;
+    padding-left: 1.5rem;
+    margin-bottom: 0.5rem;
+}
+
+.styled-list li:before {
+    content: "•";
+    color: var(--primary);
+    position: absolute;
+    left: 0.5rem;
+    font-weight: bold;
+}
+
+.cards-grid {
     display: grid;
     grid-template-columns: 1fr;
     gap: 1rem;
+    margin-top: 1rem;
 }
 
-.sidebar-ad {
-    background: var(--surface);
+@media (min-width: 768px) {
+    .cards-grid {
+        grid-template-columns: repeat(auto-fit, minmax(240px, 1fr));
+    }
+}
+
+.card-item {
+    background: var(--background);
     border: 1px solid var(--border);
     border-radius: 8px;
     padding: 1rem;
+    display: flex;
+    flex-direction: column;
+}
+
+.card-item h3 {
+    color: var(--primary-dark);
+    font-size: 1.1rem;
+    margin-bottom: 0.5rem;
+}
+
+.card-item p {
+    flex-grow: 1;
+    font-size: 0.9rem;
+    margin-bottom: 1rem;
+}
+
+.card-link {
+    align-self: flex-start;
+    color: var(--primary);
+    font-weight: 600;
+    text-decoration: none;
+}
+
+.cta-section {
     text-align: center;
+    background: linear-gradient(135deg, var(--primary-light), var(--primary));
+    color: white;
 }
 
-/* ===== MOBILE STICKY AD ===== */
-.mobile-sticky-ad {
-    position: fixed;
-    bottom: 0;
-    left: 0;
-    right: 0;
-    background: var(--primary);
+.cta-section h2 {
     color: white;
-    padding: 0.75rem 1rem;
-    display: none;
-    justify-content: space-between;
-    align-items: center;
-    z-index: 1000;
-    box-shadow: 0 -2px 10px rgba(0,0,0,0.1);
-    width: 100%;
+    margin-bottom: 0.75rem;
 }
 
-.mobile-sticky-ad .ad-close {
-    background: none;
-    border: none;
+.cta-section .rich-content,
+.cta-section .rich-content a {
     color: white;
-    font-size: 1.5rem;
-    cursor: pointer;
-    width: 30px;
-    height: 30px;
+}
+
+.cta-buttons {
     display: flex;
-    align-items: center;
+    gap: 0.75rem;
     justify-content: center;
-    padding: 0;
+    flex-wrap: wrap;
+    margin-top: 1.25rem;
 }
 
-/* ===== MOBILE MENU ===== */
-@media (max-width: 767px) {
-    .mobile-menu-btn {
+.cta-button {
+    padding: 0.75rem 1.5rem;
+    border-radius: 50px;
+    border: 2px solid white;
+    font-weight: 600;
+    text-decoration: none;
+}
+
+.cta-button.primary {
+    background: white;
+    color: var(--primary);
+}
+
+.cta-button.secondary {
+    background: transparent;
+    color: white;
+}
+
+/* ===== TOOL PAGES ===== */
+.tool-links ul {
+    list-style: none;
+    margin-top: 0.75rem;
+}
+
+.tool-links li {
+    padding: 0.4rem 0;
+    font-size: 0.9rem;
+}
+
+.tool-links a {
+    color: var(--primary);
+    font-weight: 600;
+}
+
+.recipe-tool-label {
+    display: block;
+    margin-bottom: 0.5rem;
+    font-weight: 500;
+}
+
+.recipe-textarea {
+    width: 100%;
+    padding: 0.75rem;
+    margin-bottom: 1rem;
+    border: 2px solid var(--primary-light);
+    border-radius: 8px;
+    font-family: inherit;
+    font-size: 1rem;
+    line-height: 1.5;
+    resize: vertical;
+}
+
+.recipe-lines {
+    margin: 1rem 0;
+    padding-left: 1.5rem;
+}
+
+.recipe-line {
+    padding: 0.4rem 0;
+    border-bottom: 1px solid var(--border);
+}
+
+.recipe-line-result {
+    font-weight: 600;
+    color: var(--primary-dark);
+}
+
+.recipe-line-original,
+.recipe-line-note {
+    display: block;
+    font-size: 0.85rem;
+    opacity: 0.75;
+}
+
+.recipe-line-flagged .recipe-line-result,
+.recipe-line-flagged .recipe-line-note {
+    color: var(--error);
+    opacity: 1;
+}
+
+.recipe-summary {
+    font-size: 0.9rem;
+    margin-bottom: 1rem;
+}
+
+.scale-inputs {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 1rem;
+    margin-bottom: 1rem;
+}
+
+.scale-inputs label {
+    flex: 1 1 12rem;
+    font-weight: 500;
+}
+
+.scale-inputs .converter-input,
+.scale-inputs .converter-select {
+    display: block;
+    width: 100%;
+    margin-top: 0.35rem;
+}
+
+.recipe-warnings {
+    margin-bottom: 1rem;
+    padding-left: 1.25rem;
+    font-size: 0.9rem;
+    color: var(--error);
+}
+
+.recipe-warnings:empty {
+    display: none;
+}
+
+.pan-pickers {
+    display: grid;
+    grid-template-columns: repeat(auto-fit, minmax(16rem, 1fr));
+    gap: 1rem;
+    margin-bottom: 1rem;
+}
+
+.pan-picker {
+    border: 2px solid var(--primary-light);
+    border-radius: 8px;
+    padding: 1rem;
+}
+
+.pan-picker legend {
+    padding: 0 0.5rem;
+    font-weight: 600;
+    color: var(--primary-dark);
+}
+
+.pan-picker label,
+.pan-bake-time {
+    display: block;
+    margin-bottom: 0.75rem;
+    font-weight: 500;
+}
+
+.pan-picker .converter-input,
+.pan-picker .converter-select,
+.pan-bake-time .converter-input {
+    display: block;
+    width: 100%;
+    margin-top: 0.35rem;
+}
+
+.pan-multiplier {
+    font-size: 1.5rem;
+    font-weight: 700;
+    color: var(--primary);
+    margin-bottom: 0.5rem;
+}
+
+.pan-details {
+    padding-left: 1.25rem;
+    font-size: 0.9rem;
+}
+
+.pan-details li {
+    padding: 0.2rem 0;
+}
+
+.recipe-copy {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.5rem;
+}
+
+.recipe-copy-button {
+    background: var(--primary);
+    color: white;
+    border: none;
+    border-radius: 8px;
+    padding: 0.6rem 1.25rem;
+    font-size: 0.95rem;
+    cursor: pointer;
+}
+
+.recipe-copy-button:hover {
+    background: var(--primary-dark);
+}
+
+/* ===== BACK TO CONVERTERS LINK ===== */
+.back-to-converters {
+    margin: 0.5rem 0 1rem;
+    padding-bottom: 1rem;
+    border-bottom: 1px solid var(--border);
+    width: 100%;
+}
+
+.back-to-converters a {
+    color: var(--primary);
+    text-decoration: none;
+    font-weight: 500;
+    display: inline-flex;
+    align-items: center;
+    gap: 0.5rem;
+    transition: color 0.3s;
+    font-size: 0.9rem;
+}
+
+.back-to-converters a:hover {
+    color: var(--primary-dark);
+    text-decoration: underline;
+}
+
+/* ===== TWO COLUMN LAYOUT FOR CONVERTER PAGES ===== */
+.converter-page-layout {
+    display: flex;
+    flex-direction: column;
+    gap: 1.5rem;
+    align-items: stretch;
+    width: 100%;
+}
+
+.converter-main-content {
+    flex: 1;
+    min-width: 0;
+    width: 100%;
+}
+
+/* ===== SIDEBAR ADS ===== */
+.sidebar-ad-container {
+    width: 100%;
+    margin-top: 1.5rem;
+    display: grid;
+    grid-template-columns: 1fr;
+    gap: 1rem;
+}
+
+.sidebar-ad {
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 8px;
+    padding: 1rem;
+    text-align: center;
+}
+
+/* ===== MOBILE STICKY AD ===== */
+.mobile-sticky-ad {
+    position: fixed;
+    bottom: 0;
+    left: 0;
+    right: 0;
+    background: var(--primary);
+    color: white;
+    padding: 0.75rem 1rem;
+    display: none;
+    justify-content: space-between;
+    align-items: center;
+    z-index: 1000;
+    box-shadow: 0 -2px 10px rgba(0,0,0,0.1);
+    width: 100%;
+}
+
+.mobile-sticky-ad .ad-close {
+    background: none;
+    border: none;
+    color: white;
+    font-size: 1.5rem;
+    cursor: pointer;
+    width: 30px;
+    height: 30px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    padding: 0;
+}
+
+/* ===== MOBILE MENU ===== */
+@media (max-width: 767px) {
+    .mobile-menu-btn {
         display: block;
     }
 
@@ -3030,6 +4116,8 @@ body {
 // CONVERTER JAVASCRIPT LOGIC - WITH CATEGORY FILTERING
 // ==============================
 
+// Needs the engine script (generateEngineScript) on pages with a converter
+// widget, recipe tool or pan converter
 const CONVERTER_JS = `
 document.addEventListener('DOMContentLoaded', function() {
     // Mobile menu toggle
@@ -3066,6 +4154,27 @@ document.addEventListener('DOMContentLoaded', function() {
         initConverter(JSON.parse(converterData.textContent));
     }
 
+    // Recipe converter tool page
+    const recipeData = document.getElementById('recipe-data');
+    if (recipeData) {
+        initRecipeConverter(JSON.parse(recipeData.textContent));
+    }
+
+    // Recipe scaler tool page
+    const scalerData = document.getElementById('recipe-scaler-data');
+    if (scalerData) {
+        initRecipeScaler(JSON.parse(scalerData.textContent));
+    }
+
+    // Pan size converter tool page
+    const panData = document.getElementById('pan-data');
+    if (panData) {
+        initPanConverter(JSON.parse(panData.textContent));
+    }
+
+    // Sortable columns and per-row copy buttons on conversion tables
+    document.querySelectorAll('.conversion-table').forEach(initConversionTable);
+
     // Initialize category filter on any page with converters
     if (document.querySelector('.converters-grid')) {
         initCategoryFilter();
@@ -3103,6 +4212,8 @@ function initConverter(data) {
     const swapBtn = document.querySelector('.converter-swap');
     const resultSpan = document.getElementById('converterResult') || document.querySelector('.converter-result');
     const ingredientSelect = document.getElementById('ingredientSelect');
+    const outputMode = document.getElementById('outputMode');
+    const engine = ConversionEngine.createConverter(data);
 
     if (!fromInput) {
         console.error('Converter input not found!');
@@ -3165,11 +4276,22 @@ function initConverter(data) {
     }
 
     function convert() {
-        const value = parseFloat(fromInput.value) || 0;
+        // Accepts 1.5, 1 1/2, 1½, ¾ and ranges such as 2-3
+        const input = fromInput.value.trim();
+        const quantity = ConversionEngine.parseQuantityRange(input);
         const from = fromUnit.value;
         const to = toUnit.value;
 
-        console.log('Converting:', value, from, 'to', to);
+        if (!quantity) {
+            toInput.value = '';
+            if (resultSpan) {
+                resultSpan.textContent = input ? 'Enter an amount like 2, 1.5, 1 1/2, ¾ or 2-3' : '';
+                resultSpan.style.color = 'var(--error)';
+            }
+            return;
+        }
+
+        console.log('Converting:', quantity, from, 'to', to);
 
         // Get selected ingredient
         const ingredient = ingredientSelect ? ingredientSelect.value : null;
@@ -3177,86 +4299,49 @@ function initConverter(data) {
             console.log('Using ingredient:', ingredient);
         }
 
-        let result = null;
-
-        // PRIORITY 1: Ingredient-specific formula
-        if (ingredient && data.ingredientFormulas && Array.isArray(data.ingredientFormulas)) {
-            // Find exact ingredient formula
-            const formula = data.ingredientFormulas.find(f =>
-                f.from === from && f.to === to && f.ingredient === ingredient
-            );
-
-            if (formula) {
-                console.log('Using ingredient formula:', formula.formula, 'for', ingredient);
-                try {
-                    const func = new Function('x', 'return ' + formula.formula);
-                    result = func(value);
-                    console.log('Ingredient formula result:', result);
-                } catch (e) {
-                    console.error('Ingredient formula error:', e);
-                }
-            }
-        }
-
-        // PRIORITY 2: Direct conversions
-        if (result === null && data.conversions && data.conversions[from] && data.conversions[from][to]) {
-            result = value * data.conversions[from][to];
-            console.log('Using direct conversion:', result);
-        }
-        // PRIORITY 3: Formula-based conversion
-        else if (result === null && data.conversionFormulas && Array.isArray(data.conversionFormulas)) {
-            result = applyFormula(value, from, to, data.conversionFormulas);
-            console.log('Using formula conversion:', result);
-        }
-        // PRIORITY 4: Reciprocal conversion
-        else if (result === null && data.conversions && data.conversions[to] && data.conversions[to][from]) {
-            result = value / data.conversions[to][from];
-            console.log('Using reciprocal conversion:', result);
-        }
-
-        if (result !== null && !isNaN(result)) {
-            // Format result based on magnitude
-            let formattedResult;
-            if (Math.abs(result) < 0.0001) {
-                formattedResult = result.toExponential(4);
-            } else if (Math.abs(result) < 0.01) {
-                formattedResult = result.toFixed(6);
-            } else if (Math.abs(result) < 1) {
-                formattedResult = result.toFixed(4);
-            } else if (Math.abs(result) < 1000) {
-                formattedResult = result.toFixed(2);
-            } else {
-                formattedResult = result.toFixed(0);
-            }
+        const options = { ingredient: ingredient || null };
+        const isRange = quantity.max !== quantity.min;
+        const resolved = engine.resolve(quantity.min, from, to, options);
+        const resolvedMax = isRange ? engine.resolve(quantity.max, from, to, options) : resolved;
+        console.log('Conversion result:', resolved, resolvedMax);
 
-            toInput.value = formattedResult;
+        if (resolved && resolvedMax) {
+            toInput.value = isRange
+                ? formatInputValue(resolved.value) + '–' + formatInputValue(resolvedMax.value)
+                : formatInputValue(resolved.value);
 
             if (resultSpan) {
-                // Format display result
-                let displayResult;
-                if (Math.abs(result) < 0.0001) {
-                    displayResult = result.toExponential(4);
-                } else if (Math.abs(result) < 0.01) {
-                    displayResult = result.toFixed(6);
-                } else if (Math.abs(result) < 1) {
-                    displayResult = result.toFixed(4);
-                } else if (Math.abs(result) < 100) {
-                    displayResult = result.toFixed(2);
-                } else {
-                    displayResult = Math.round(result * 100) / 100;
+                // Step formulas (e.g. gas marks) invert to a range rather than a single value
+                let displayResult = isRange
+                    ? formatDisplayValue(resolved.value) + '–' + formatDisplayValue(resolvedMax.value)
+                    : (resolved.range ? formatRange(resolved.range) : formatDisplayValue(resolved.value));
+                displayResult += ' ' + to;
+
+                // Nearest cup/spoon measure or fewest measuring tools, with the exact decimal alongside
+                const mode = outputMode ? outputMode.value : '';
+                if (mode && !resolved.range) {
+                    const results = isRange ? [resolved, resolvedMax] : [resolved];
+                    const measures = results.map(result => mode === 'kitchen'
+                        ? engine.kitchenMeasure(result.value, to)
+                        : engine.measureWithTools(result.value, to, mode.replace('tools-', '')));
+                    if (measures.every(measure => measure)) {
+                        displayResult = measures.map(measure => measure.text).join(' to ') +
+                            ' (' + displayResult + (isRange ? '' : '; ' + roundingNote(measures[0].value, resolved.value)) + ')';
+                    }
                 }
 
                 // Add ingredient to display if used
                 if (ingredient) {
-                    resultSpan.textContent = value + ' ' + from + ' of ' + ingredient + ' = ' + displayResult + ' ' + to;
+                    const ingredientName = ingredientSelect.options[ingredientSelect.selectedIndex].text.toLowerCase();
+                    resultSpan.textContent = input + ' ' + from + ' of ' + ingredientName + ' = ' + displayResult;
                 } else {
-                    resultSpan.textContent = value + ' ' + from + ' = ' + displayResult + ' ' + to;
+                    resultSpan.textContent = input + ' ' + from + ' = ' + displayResult;
                 }
                 resultSpan.style.color = 'var(--primary)';
             }
 
             // Update URL for sharing
-            updateURL(value, from, to, ingredient);
+            updateURL(input, from, to, ingredient);
         } else {
             console.error('Conversion failed for', from, 'to', to);
             toInput.value = '';
@@ -3267,102 +4352,45 @@ function initConverter(data) {
         }
     }
 
-    function applyFormula(value, from, to, formulas) {
-            console.log('Looking for formula:', from, '->', to);
-
-            // Direct formula match
-            for (const formula of formulas) {
-                if (formula.from === from && formula.to === to) {
-                    console.log('Found direct formula:', formula.formula);
-                    try {
-                        const func = new Function('x', 'return ' + formula.formula);
-                        const result = func(value);
-                        console.log('Formula result:', result);
-                        return result;
-                    } catch (e) {
-                        console.error('Formula error:', e, 'for', formula);
-                        return null;
-                    }
-                }
-            }
+    // Format result based on magnitude
+    function formatInputValue(number) {
+        if (Math.abs(number) < 0.0001) {
+            return number.toExponential(4);
+        } else if (Math.abs(number) < 0.01) {
+            return number.toFixed(6);
+        } else if (Math.abs(number) < 1) {
+            return number.toFixed(4);
+        } else if (Math.abs(number) < 1000) {
+            return number.toFixed(2);
+        }
+        return number.toFixed(0);
+    }
 
-            // Try reverse formula
-            for (const formula of formulas) {
-                if (formula.from === to && formula.to === from) {
-                    console.log('Found reverse formula, calculating inverse:', formula.formula);
-                    try {
-                        // For inverse, we need to solve for x: formula(x) = value
-                        // This is complex, so we'll use numerical approximation
-                        const func = new Function('x', 'return ' + formula.formula);
-
-                        // Simple binary search for inverse
-                        let low = -1e6;
-                        let high = 1e6;
-                        let mid;
-
-                        // If function is monotonic (most conversions are)
-                        for (let i = 0; i < 100; i++) {
-                            mid = (low + high) / 2;
-                            const midVal = func(mid);
-
-                            if (Math.abs(midVal - value) < 0.0001) {
-                                return mid;
-                            }
+    function formatDisplayValue(number) {
+        if (Math.abs(number) < 0.0001) {
+            return number.toExponential(4);
+        } else if (Math.abs(number) < 0.01) {
+            return number.toFixed(6);
+        } else if (Math.abs(number) < 1) {
+            return number.toFixed(4);
+        } else if (Math.abs(number) < 100) {
+            return number.toFixed(2);
+        }
+        return Math.round(number * 100) / 100;
+    }
 
-                            if (midVal < value) {
-                                low = mid;
-                            } else {
-                                high = mid;
-                            }
-                        }
+    function roundingNote(measured, exact) {
+        const percent = (measured - exact) / exact * 100;
+        if (Math.abs(percent) < 1e-6) return 'exact';
+        if (Math.abs(percent) < 0.05) return 'under 0.1% off';
+        return Math.abs(percent).toFixed(1) + '% ' + (percent > 0 ? 'over' : 'under');
+    }
 
-                        return mid; // Approximate inverse
-                    } catch (e) {
-                        console.error('Inverse formula error:', e);
-                        return null;
-                    }
-                }
-            }
-
-            // Try chain conversion through a common unit
-            if (formulas.length > 0) {
-                const commonUnits = ['celsius', 'fahrenheit', 'gram', 'ounce', 'cup', 'milliliter'];
-
-                for (const commonUnit of commonUnits) {
-                    if (commonUnit === from || commonUnit === to) continue;
-
-                    // Check if we have from -> commonUnit and commonUnit -> to
-                    let formula1 = null;
-                    let formula2 = null;
-
-                    for (const formula of formulas) {
-                        if (formula.from === from && formula.to === commonUnit) {
-                            formula1 = formula;
-                        }
-                        if (formula.from === commonUnit && formula.to === to) {
-                            formula2 = formula;
-                        }
-                    }
-
-                    if (formula1 && formula2) {
-                        console.log('Found chain conversion through', commonUnit);
-                        try {
-                            const func1 = new Function('x', 'return ' + formula1.formula);
-                            const func2 = new Function('x', 'return ' + formula2.formula);
-                            const intermediate = func1(value);
-                            const result = func2(intermediate);
-                            return result;
-                        } catch (e) {
-                            console.error('Chain conversion error:', e);
-                            return null;
-                        }
-                    }
-                }
-            }
-
-            console.log('No formula found for', from, '->', to);
-            return null;
-        }
+    function formatRange(range) {
+        if (!isFinite(range.min)) return 'up to ' + formatDisplayValue(range.max);
+        if (!isFinite(range.max)) return 'above ' + formatDisplayValue(range.min);
+        return formatDisplayValue(range.min) + '–' + formatDisplayValue(range.max);
+    }
 
     function updateURL(value, from, to, ingredient = null) {
         const params = new URLSearchParams();
@@ -3370,6 +4398,7 @@ function initConverter(data) {
         params.set('from', from);
         params.set('to', to);
         if (ingredient) params.set('ingredient', ingredient);
+        if (outputMode && outputMode.value) params.set('show', outputMode.value);
 
         const newURL = window.location.pathname + '?' + params.toString();
         window.history.replaceState({}, '', newURL);
@@ -3391,6 +4420,9 @@ function initConverter(data) {
     fromInput.addEventListener('input', convert);
     fromUnit.addEventListener('change', convert);
     toUnit.addEventListener('change', convert);
+    if (outputMode) {
+        outputMode.addEventListener('change', convert);
+    }
 
     if (swapBtn) {
         swapBtn.addEventListener('click', swapUnits);
@@ -3415,12 +4447,418 @@ function initConverter(data) {
             ingredientSelect.value = urlIngredient;
         }
     }
+    const urlShow = params.get('show');
+    if (outputMode && urlShow && Array.from(outputMode.options).some(opt => opt.value === urlShow)) {
+        outputMode.value = urlShow;
+    }
 
     // Initial conversion
     console.log('Performing initial conversion...');
     convert();
 }
 
+function initConversionTable(table) {
+    const tbody = table.querySelector('tbody');
+    const headers = table.querySelectorAll('th[aria-sort]');
+
+    headers.forEach(header => {
+        const button = header.querySelector('.table-sort');
+        const column = Number(button.dataset.column);
+
+        button.addEventListener('click', () => {
+            const direction = header.getAttribute('aria-sort') === 'ascending' ? 'descending' : 'ascending';
+            headers.forEach(h => h.setAttribute('aria-sort', 'none'));
+            header.setAttribute('aria-sort', direction);
+
+            const rows = Array.from(tbody.querySelectorAll('tr'));
+            const cellText = row => {
+                const cell = row.children[column];
+                return cell.dataset.sort !== undefined ? cell.dataset.sort : cell.textContent.trim();
+            };
+            // Compare numerically when every cell in the column starts with a number (e.g. "180°C")
+            const numeric = rows.every(row => !isNaN(parseFloat(cellText(row))));
+
+            rows.sort((a, b) => {
+                const result = numeric
+                    ? parseFloat(cellText(a)) - parseFloat(cellText(b))
+                    : cellText(a).localeCompare(cellText(b));
+                return direction === 'ascending' ? result : -result;
+            });
+            rows.forEach(row => tbody.appendChild(row));
+        });
+    });
+
+    table.querySelectorAll('.table-copy').forEach(button => {
+        button.addEventListener('click', () => copyToClipboard(button.dataset.copy, button));
+    });
+}
+
+// Copies text and shows "Copied" on the button for a moment
+function copyToClipboard(text, button) {
+    const label = button.dataset.label || (button.dataset.label = button.textContent);
+    const done = () => {
+        button.textContent = 'Copied';
+        setTimeout(() => { button.textContent = label; }, 1500);
+    };
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(text).then(done).catch(() => console.error('Copy failed'));
+    } else {
+        // Fallback for browsers without the async clipboard API
+        const input = document.createElement('textarea');
+        input.value = text;
+        document.body.appendChild(input);
+        input.select();
+        document.execCommand('copy');
+        document.body.removeChild(input);
+        done();
+    }
+}
+
+// Converts every pasted ingredient line through the shared engine. Lines
+// without an amount or with an amount that cannot be converted are kept as
+// written and flagged.
+function initRecipeConverter(data) {
+    const input = document.getElementById('recipeInput');
+    const system = document.getElementById('recipeSystem');
+    const list = document.getElementById('recipeLines');
+    const summary = document.getElementById('recipeSummary');
+    let lines = [];
+
+    function ingredientName(id) {
+        return data.ingredientDensities[id] ? data.ingredientDensities[id].name.toLowerCase() : id;
+    }
+
+    function convertLine(line) {
+        const parsed = ConversionEngine.parseIngredientLine(data, line);
+        const kept = { original: line, text: line, converted: false };
+
+        if (!parsed.quantity) {
+            return Object.assign(kept, { flag: 'No amount found, kept as written' });
+        }
+        if (!parsed.unit && parsed.unknownUnit) {
+            return Object.assign(kept, { flag: 'Unknown unit "' + parsed.unknownUnit + '", kept as written' });
+        }
+        if (!parsed.unit) {
+            return Object.assign(kept, { note: 'No unit, kept as written' });
+        }
+
+        const amounts = parsed.quantity.min === parsed.quantity.max
+            ? [parsed.quantity.min]
+            : [parsed.quantity.min, parsed.quantity.max];
+        const results = amounts.map(amount =>
+            ConversionEngine.toKitchenUnits(data, amount, parsed.unit, system.value, parsed.ingredient));
+        if (results.some(result => !result)) {
+            return Object.assign(kept, { flag: 'Could not convert this amount, kept as written' });
+        }
+
+        // Weight and volume only cross over through an ingredient density
+        const dimension = data.unitDefinitions[parsed.unit].dimension;
+        let note = null;
+        if (results[0].dimension !== dimension) {
+            note = 'Converted with the density of ' + ingredientName(parsed.ingredient);
+        } else if (!parsed.ingredient && (system.value === 'metric') === (dimension === 'volume')) {
+            note = 'Ingredient not recognised, converted by ' + dimension;
+        }
+
+        return {
+            original: line,
+            text: results.map(result => result.text).join(' – ') + (parsed.text ? ' ' + parsed.text : ''),
+            converted: true,
+            note
+        };
+    }
+
+    function render() {
+        lines = input.value.split(/\\r?\\n/).map(line => line.trim()).filter(Boolean).map(convertLine);
+        renderRecipeLines(list, lines);
+
+        const flagged = lines.filter(line => line.flag).length;
+        const converted = lines.filter(line => line.converted).length;
+        summary.textContent = lines.length === 0
+            ? 'Paste ingredient lines above to convert them.'
+            : 'Converted ' + converted + ' of ' + lines.length + ' lines' +
+                (flagged > 0 ? '; ' + flagged + ' could not be read and ' + (flagged === 1 ? 'is' : 'are') + ' flagged.' : '.');
+    }
+
+    input.addEventListener('input', render);
+    system.addEventListener('change', render);
+    initRecipeCopyButtons(() => lines);
+
+    render();
+}
+
+// Scales every ingredient line by servings or by pan area. Eggs stay whole,
+// and raising agents and bake times get a warning because neither scales in
+// proportion with the rest of the recipe.
+function initRecipeScaler(data) {
+    const input = document.getElementById('recipeInput');
+    const mode = document.getElementById('scaleMode');
+    const servingsFrom = document.getElementById('servingsFrom');
+    const servingsTo = document.getElementById('servingsTo');
+    const panFrom = document.getElementById('panFrom');
+    const panTo = document.getElementById('panTo');
+    const factorText = document.getElementById('scaleFactor');
+    const warnings = document.getElementById('recipeWarnings');
+    const list = document.getElementById('recipeLines');
+    const summary = document.getElementById('recipeSummary');
+    let lines = [];
+
+    function findPan(id) {
+        return data.pans.find(pan => pan.id === id) || null;
+    }
+
+    function servingsCount(field) {
+        const quantity = ConversionEngine.parseQuantityRange(field.value);
+        return quantity && quantity.min === quantity.max && quantity.min > 0 ? quantity.min : null;
+    }
+
+    // { factor, label } or { error }
+    function scaleFactor() {
+        if (mode.value === 'pan') {
+            const from = findPan(panFrom.value);
+            const to = findPan(panTo.value);
+            const comparison = ConversionEngine.comparePans(from, to);
+            return {
+                factor: comparison.multiplier,
+                label: from.name + ' → ' + to.name + ' (by pan ' + comparison.basis + ')'
+            };
+        }
+
+        const from = servingsCount(servingsFrom);
+        const to = servingsCount(servingsTo);
+        if (!from || !to) return { error: 'Enter the number of servings as a positive number' };
+        return { factor: to / from, label: from + ' → ' + to + ' servings' };
+    }
+
+    function showWarnings(messages) {
+        warnings.innerHTML = '';
+        messages.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            warnings.appendChild(item);
+        });
+    }
+
+    function render() {
+        document.getElementById('scaleServings').hidden = mode.value === 'pan';
+        if (panFrom) document.getElementById('scalePans').hidden = mode.value !== 'pan';
+
+        const scale = scaleFactor();
+        const sourceLines = input.value.split(/\\r?\\n/).map(line => line.trim()).filter(Boolean);
+        if (scale.error) {
+            factorText.textContent = scale.error;
+            lines = [];
+            renderRecipeLines(list, lines);
+            showWarnings([]);
+            summary.textContent = '';
+            return;
+        }
+
+        const factor = scale.factor;
+        const resized = Math.abs(factor - 1) > 1e-9;
+        const scaled = sourceLines.map(line => ConversionEngine.scaleIngredientLine(data, line, factor));
+        lines = scaled.map((result, index) => ({
+            original: sourceLines[index],
+            text: result.text,
+            converted: result.scaled && resized,
+            note: result.leavening && resized
+                ? 'Raising agent: scale with care' + (result.note ? '. ' + result.note : '')
+                : result.note
+        }));
+        renderRecipeLines(list, lines);
+
+        factorText.textContent = '×' + Number(factor.toFixed(2)) + ': ' + scale.label;
+
+        const messages = [];
+        if (resized) {
+            messages.push(factor > 1
+                ? 'Bake times do not scale with the recipe. A bigger batch in a deeper pan needs longer at the same temperature; check early and often.'
+                : 'Bake times do not scale with the recipe. A smaller batch usually bakes faster; start checking well before the original time.');
+            if (scaled.some(result => result.leavening)) {
+                messages.push('Baking soda, baking powder and yeast do not always scale in proportion. For large changes, scale them a little less and test a small batch first.');
+            }
+        }
+        showWarnings(messages);
+
+        summary.textContent = sourceLines.length === 0
+            ? 'Paste ingredient lines above to scale them.'
+            : 'Scaled ' + scaled.filter(result => result.scaled).length + ' of ' + sourceLines.length + ' lines.';
+    }
+
+    [input, servingsFrom, servingsTo].forEach(field => field.addEventListener('input', render));
+    [mode, panFrom, panTo].filter(Boolean).forEach(field => field.addEventListener('change', render));
+    initRecipeCopyButtons(() => lines);
+
+    render();
+}
+
+// Compares two pans, each picked from pans.json or entered by hand, and
+// shows the recipe multiplier and how the bake time changes
+function initPanConverter(data) {
+    const pickers = ['panPickerFrom', 'panPickerTo'].map(id => document.getElementById(id));
+    const bakeMinutes = document.getElementById('bakeMinutes');
+    const multiplier = document.getElementById('panMultiplier');
+    const details = document.getElementById('panDetails');
+
+    function field(picker, name) {
+        return picker.querySelector('[data-field="' + name + '"]');
+    }
+
+    function number(text) {
+        const quantity = ConversionEngine.parseQuantityRange(text);
+        return quantity && quantity.min === quantity.max ? quantity.min : null;
+    }
+
+    // Shows only the size fields the chosen shape uses
+    function showFields(picker) {
+        const shape = field(picker, 'shape').value;
+        picker.querySelectorAll('[data-shapes]').forEach(label => {
+            label.hidden = label.dataset.shapes.split(' ').indexOf(shape) === -1;
+        });
+    }
+
+    function fillPicker(picker) {
+        const pan = data.pans.find(candidate => candidate.id === field(picker, 'preset').value);
+        if (!pan) return;
+
+        field(picker, 'shape').value = pan.shape;
+        field(picker, 'unit').value = pan.unit || 'in';
+        picker.querySelectorAll('input[data-field]').forEach(input => {
+            input.value = pan[input.dataset.field] !== undefined ? pan[input.dataset.field] : '';
+        });
+        showFields(picker);
+    }
+
+    function readPan(picker) {
+        const pan = { shape: field(picker, 'shape').value, unit: field(picker, 'unit').value };
+        picker.querySelectorAll('label:not([hidden]) input[data-field]').forEach(input => {
+            const value = number(input.value);
+            if (value !== null) pan[input.dataset.field] = value;
+        });
+        return pan;
+    }
+
+    // Whole numbers from 100 up, one decimal from 10, two below
+    function formatPanValue(value) {
+        const digits = value >= 100 ? 0 : value >= 10 ? 1 : 2;
+        return String(Number(value.toFixed(digits)));
+    }
+
+    // Area in in² or cm² and capacity in cups or litres, following the pan's units
+    function describePan(pan, area, volume) {
+        const inches = pan.unit === 'in';
+        const text = formatPanValue(inches ? area / 6.4516 : area) + (inches ? ' sq in' : ' cm²');
+        if (volume === null) return text;
+        return text + ', holds about ' + (inches
+            ? formatPanValue(volume / 236.5882365) + ' cups'
+            : formatPanValue(volume / 1000) + ' litres');
+    }
+
+    function showDetails(items) {
+        details.innerHTML = '';
+        items.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            details.appendChild(item);
+        });
+    }
+
+    function render() {
+        const from = readPan(pickers[0]);
+        const to = readPan(pickers[1]);
+        const comparison = ConversionEngine.comparePans(from, to);
+        if (!comparison) {
+            multiplier.textContent = 'Enter the size of both pans';
+            showDetails([]);
+            return;
+        }
+
+        multiplier.textContent = '×' + formatPanValue(comparison.multiplier) + ' the recipe';
+
+        const items = [
+            'Recipe pan: ' + describePan(from, comparison.fromArea, comparison.fromVolume),
+            'Your pan: ' + describePan(to, comparison.toArea, comparison.toVolume),
+            comparison.basis === 'volume'
+                ? 'Compared by volume, so the batter fills your pan to the same depth.'
+                : 'Compared by base area. Add the depth of both pans, or the capacity of a bundt pan, to compare by volume.'
+        ];
+
+        const minutes = number(bakeMinutes.value);
+        const bakeTime = ConversionEngine.describeBakeTime(comparison.bakeTimeFactor);
+        items.push(minutes
+            ? 'Bake time: ' + bakeTime + ', around ' + Math.round(minutes * comparison.bakeTimeFactor) +
+                ' minutes. Start checking at ' + Math.round(minutes * comparison.bakeTimeFactor * 0.85) + '.'
+            : 'Bake time: ' + bakeTime + '. Check for doneness rather than relying on the clock.');
+        if (comparison.bakeTimeFactor > 1.25) {
+            items.push('The batter is much deeper: lower the oven by 25 °F (15 °C) so the edges do not overbake before the middle sets.');
+        }
+        showDetails(items);
+    }
+
+    pickers.forEach(picker => {
+        fillPicker(picker);
+        field(picker, 'preset').addEventListener('change', () => {
+            fillPicker(picker);
+            render();
+        });
+        ['shape', 'unit'].forEach(name => field(picker, name).addEventListener('change', () => {
+            field(picker, 'preset').value = '';
+            showFields(picker);
+            render();
+        }));
+        picker.querySelectorAll('input[data-field]').forEach(input => input.addEventListener('input', () => {
+            field(picker, 'preset').value = '';
+            render();
+        }));
+    });
+    bakeMinutes.addEventListener('input', render);
+
+    render();
+}
+
+// Lists recipe lines as { original, text, converted, flag, note }, showing
+// the original line under every converted one
+function renderRecipeLines(list, lines) {
+    list.innerHTML = '';
+
+    lines.forEach(line => {
+        const item = document.createElement('li');
+        item.className = 'recipe-line' + (line.flag ? ' recipe-line-flagged' : '');
+
+        const result = document.createElement('span');
+        result.className = 'recipe-line-result';
+        result.textContent = line.text;
+        item.appendChild(result);
+
+        if (line.converted) {
+            const original = document.createElement('span');
+            original.className = 'recipe-line-original';
+            original.textContent = 'was: ' + line.original;
+            item.appendChild(original);
+        }
+        if (line.flag || line.note) {
+            const note = document.createElement('span');
+            note.className = 'recipe-line-note';
+            note.textContent = line.flag || line.note;
+            item.appendChild(note);
+        }
+        list.appendChild(item);
+    });
+}
+
+function initRecipeCopyButtons(getLines) {
+    document.querySelectorAll('.recipe-copy-button').forEach(button => {
+        button.addEventListener('click', () => {
+            const lines = getLines();
+            const text = button.dataset.format === 'markdown'
+                ? lines.map(line => '- ' + line.text).join('\\n')
+                : lines.map(line => line.text).join('\\n');
+            copyToClipboard(text, button);
+        });
+    });
+}
+
 function initCategoryFilter() {
     const searchInput = document.getElementById('searchConverters');
     const categoryFilters = document.querySelectorAll('.category-filter');
@@ -3429,6 +4867,42 @@ function initCategoryFilter() {
 
     if (!searchInput && !categoryFilters.length) return;
 
+    const grid = document.querySelector('.converters-grid');
+    const noResultsMessage = grid ? grid.querySelector('.no-results') : null;
+    const popularityOrder = Array.from(converterCards);
+
+    // Inside a category, visible cards are grouped under subcategory headings;
+    // "All" shows the plain popularity order
+    function groupBySubcategory(activeCategory) {
+        if (!grid) return;
+        grid.querySelectorAll('.subcategory-heading').forEach(heading => heading.remove());
+
+        if (activeCategory === 'all') {
+            popularityOrder.forEach(card => grid.insertBefore(card, noResultsMessage));
+            return;
+        }
+
+        const groups = new Map();
+        popularityOrder.forEach(card => {
+            if (card.style.display === 'none') return;
+            const key = card.dataset.subcategory || '';
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(card);
+        });
+
+        // Named subcategories in order of their most popular converter, then the rest
+        const keys = Array.from(groups.keys()).sort((a, b) => (a === '') - (b === ''));
+        keys.forEach(key => {
+            if (keys.length > 1) {
+                const heading = document.createElement('h3');
+                heading.className = 'subcategory-heading';
+                heading.textContent = groups.get(key)[0].dataset.subcategoryLabel;
+                grid.insertBefore(heading, noResultsMessage);
+            }
+            groups.get(key).forEach(card => grid.insertBefore(card, noResultsMessage));
+        });
+    }
+
     function filterConverters() {
         const searchTerm = searchInput ? searchInput.value.toLowerCase().trim() : '';
         const activeCategory = document.querySelector('.category-filter.active')?.dataset.category || 'all';
@@ -3456,6 +4930,8 @@ function initCategoryFilter() {
             }
         });
 
+        groupBySubcategory(activeCategory);
+
         // Update count
         const countElement = document.querySelector('.converter-count');
         if (countElement) {
@@ -3551,6 +5027,7 @@ function generateMetaTags(page) {
 
     <!-- Canonical -->
     <link rel="canonical" href="${canonical}">
+    ${generateFeedLinks()}
 
     <!-- Robots -->
     <meta name="robots" content="index, follow, max-image-preview:large, max-snippet:-1, max-video-preview:-1">
@@ -3561,6 +5038,9 @@ function generateMetaTags(page) {
     `;
 }
 
+// Dates come from the page's own source fields (datePublished, dateModified)
+// and are left out when it has none, so an unchanged page renders the same
+// on any day and --incremental can keep it as it is
 function generateSchemaOrg(page) {
     const baseSchema = {
         "@context": "https://schema.org",
@@ -3568,8 +5048,8 @@ function generateSchemaOrg(page) {
         "name": page.title,
         "description": page.description,
         "url": `${CONFIG.site.url}${page.url}`,
-        "datePublished": formatDate(),
-        "dateModified": formatDate(),
+        "datePublished": page.datePublished,
+        "dateModified": page.dateModified || page.datePublished,
         "publisher": {
             "@type": "Organization",
             "name": CONFIG.site.name,
@@ -3612,6 +5092,33 @@ function generateSchemaOrg(page) {
         `;
     }
 
+    if (page.type === 'tool') {
+        const toolSchema = Object.assign({}, baseSchema, {
+            "@type": "WebApplication",
+            "applicationCategory": "UtilitiesApplication",
+            "operatingSystem": "Any",
+            "offers": { "@type": "Offer", "price": "0", "priceCurrency": "USD" }
+        });
+        return `<script type="application/ld+json">${JSON.stringify(toolSchema, null, 2)}</script>`;
+    }
+
+    if (page.type === 'category') {
+        const collectionSchema = Object.assign({}, baseSchema, {
+            "@type": "CollectionPage",
+            "mainEntity": {
+                "@type": "ItemList",
+                "numberOfItems": page.items.length,
+                "itemListElement": page.items.map((item, index) => ({
+                    "@type": "ListItem",
+                    "position": index + 1,
+                    "name": item.title,
+                    "url": `${CONFIG.site.url}/converters/${item.slug}/`
+                }))
+            }
+        });
+        return `<script type="application/ld+json">${JSON.stringify(collectionSchema, null, 2)}</script>`;
+    }
+
     if (page.type === 'blog') {
         return `
         <script type="application/ld+json">
@@ -3621,8 +5128,8 @@ function generateSchemaOrg(page) {
             "headline": "${page.title}",
             "description": "${page.description}",
             "image": "${CONFIG.site.url}/og-image.jpg",
-            "datePublished": "${formatDate()}",
-            "dateModified": "${formatDate()}",
+            ${page.datePublished ? `"datePublished": "${page.datePublished}",` : ''}
+            ${page.dateModified ? `"dateModified": "${page.dateModified}",` : ''}
             "author": {
                 "@type": "Person",
                 "name": "${CONFIG.site.name}"
@@ -3652,8 +5159,7 @@ function generateSchemaOrg(page) {
 // ==============================
 
 function generateHomepage() {
-    const featuredConverters = CONVERTERS.converters
-        .filter(c => c.featured)
+    const featuredConverters = sortByPopularity(CONVERTERS.converters.filter(c => c.featured))
         .slice(0, 6);
 
     const page = {
@@ -3708,7 +5214,7 @@ function generateHomepage() {
                     <span style="font-weight: 600; margin-right: 0.5rem;">Filter by:</span>
                     <a href="#" class="category-filter active" data-category="all">All Converters</a>
                     ${allCategories.map(cat => `
-                    <a href="#" class="category-filter" data-category="${cat}">
+                    <a href="${getCategoryPages().includes(cat) ? `converters/category/${getCategorySlug(cat)}/` : '#'}" class="category-filter" data-category="${cat}">
                         ${getCategoryDisplayName(cat)}
                     </a>
                     `).join('')}
@@ -3731,12 +5237,12 @@ function generateHomepage() {
                 </h2>
                 <div class="converter-ui">
                     <div class="converter-box">
-                        <input type="number" id="fromValue" class="converter-input" value="1" step="0.01" aria-label="Value to convert">
+                        <input type="text" id="fromValue" class="converter-input" value="1" autocomplete="off" placeholder="e.g. 1 1/2" aria-label="Value to convert, e.g. 2, 1 1/2, ¾ or 2-3">
                         <select id="fromUnit" class="converter-select" aria-label="Convert from unit"></select>
                     </div>
                     <button class="converter-swap" aria-label="Swap units">⇄</button>
                     <div class="converter-box">
-                        <input type="number" id="toValue" class="converter-input" readonly aria-label="Converted value">
+                        <input type="text" id="toValue" class="converter-input" readonly aria-label="Converted value">
                         <select id="toUnit" class="converter-select" aria-label="Convert to unit"></select>
                     </div>
                 </div>
@@ -3756,39 +5262,7 @@ function generateHomepage() {
             </div>
 
             <div class="converters-grid">
-                ${CONVERTERS.converters.map(converter => `
-                <div class="converter-card"
-                     data-title="${converter.title}"
-                     data-description="${converter.description}"
-                     data-categories="${converter.categories ? converter.categories.join(',') : ''}">
-                    <h3 style="color: var(--primary-dark); margin-bottom: 0.5rem; font-size: 1.1rem;">${converter.title}</h3>
-                    <p style="margin-bottom: 0.75rem; font-size: 0.85rem; color: var(--text);">
-                        ${converter.description}
-                    </p>
-
-                    <!-- Category Tags -->
-                    ${converter.categories && Array.isArray(converter.categories) ? `
-                    <div class="category-tags">
-                        ${converter.categories.map(cat => `
-                        <span class="category-tag">${getCategoryDisplayName(cat)}</span>
-                        `).join('')}
-                    </div>
-                    ` : ''}
-
-                    <a href="converters/${converter.slug}/" style="
-                        display: inline-block;
-                        margin-top: 1rem;
-                        padding: 0.5rem 1rem;
-                        background: var(--primary);
-                        color: white;
-                        text-decoration: none;
-                        border-radius: 4px;
-                        font-weight: 500;
-                        transition: background 0.3s;
-                        font-size: 0.9rem;
-                    ">Use Converter</a>
-                </div>
-                `).join('')}
+                ${sortByPopularity(CONVERTERS.converters).map(converter => generateConverterCard(converter, 'converters/')).join('')}
 
                 <!-- No Results Message -->
                 <div class="no-results">
@@ -3839,6 +5313,7 @@ function generateHomepage() {
 
     ${generateFooter('root')}
 
+    ${generateEngineScript('')}
     <script>${CONVERTER_JS}</script>
 </body>
 </html>
@@ -3851,7 +5326,8 @@ function generateConverterPage(converter) {
         description: converter.description,
         url: `/converters/${converter.slug}/`,
         type: 'converter',
-        keywords: converter.keywords || converter.title
+        keywords: converter.keywords || converter.title,
+        dateModified: converter.lastUpdated
     };
 
     const showSidebar = CONFIG.ads?.sidebar?.enabled &&
@@ -3881,6 +5357,7 @@ function generateConverterPage(converter) {
 
             <div class="converter-page-layout">
                 <div class="converter-main-content">
+                    ${converter.lastUpdated ? `<p class="updated-stamp">Updated <time datetime="${converter.lastUpdated}">${formatDisplayDate(converter.lastUpdated)}</time></p>` : ''}
                     ${generateContentBySequence(converter)}
                 </div>
 
@@ -3891,6 +5368,7 @@ function generateConverterPage(converter) {
 
     ${generateFooter('converters/' + converter.slug)}
 
+    ${generateEngineScript('../../')}
     <script>${CONVERTER_JS}</script>
 </body>
 </html>
@@ -3902,7 +5380,8 @@ function generateStaticPage(pageName, content) {
         title: content.title,
         description: content.description,
         url: '/' + pageName + '/',
-        type: 'static'
+        type: 'static',
+        dateModified: content.lastUpdated
     };
 
     return `
@@ -3957,69 +5436,644 @@ function generateStaticPage(pageName, content) {
     `;
 }
 
+// Crawlable version of a category filter, grouped by subcategory like the
+// client-side filter
+function generateCategoryPage(category) {
+    const name = getCategoryDisplayName(category);
+    const converters = getCategoryConverters(category);
+    const tools = getCategoryTools(category);
+    const page = {
+        title: `${name} Converters`,
+        description: getCategoryIntro(category),
+        url: `/converters/category/${getCategorySlug(category)}/`,
+        type: 'category',
+        items: converters
+    };
+
+    const groups = new Map();
+    converters.forEach(converter => {
+        const key = converter.subcategory || '';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(converter);
+    });
+    // Named subcategories in order of their most popular converter, then the rest
+    const keys = [...groups.keys()].sort((a, b) => (a === '') - (b === ''));
+
+    const otherCategories = getCategoryPages().filter(other => other !== category);
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    ${generateMetaTags(page)}
+    <style>${STYLES}</style>
+</head>
+<body class="converters-page">
+    ${generateNavigation('converters', 'converters/category/' + getCategorySlug(category))}
+    ${generateBreadcrumbs('category', page, 'category')}
+    ${generateBreadcrumbSchema('category', page, 'category')}
+
+    <main class="main-content">
+        <div class="container">
+            <div class="card converters-header">
+                <h1 style="color: var(--primary); margin-bottom: 0.5rem; font-size: 1.75rem;">${page.title}</h1>
+                <p style="margin-bottom: 1rem; font-size: 0.9rem;">${getCategoryIntro(category)}</p>
+
+                ${otherCategories.length > 0 ? `
+                <div class="category-filters">
+                    <span style="font-weight: 600; margin-right: 0.5rem; font-size: 0.9rem;">Other categories:</span>
+                    <a href="../../" class="category-link">All</a>
+                    ${otherCategories.map(other => `
+                    <a href="../${getCategorySlug(other)}/" class="category-link">${getCategoryDisplayName(other)}</a>
+                    `).join('')}
+                </div>
+                ` : ''}
+
+                <p style="margin: 1rem 0 0; color: var(--text); font-size: 0.9rem;">
+                    ${converters.length} converter${converters.length === 1 ? '' : 's'}${tools.length > 0 ? `, ${tools.length} tool${tools.length === 1 ? '' : 's'}` : ''}
+                </p>
+            </div>
+
+            ${tools.length > 0 ? `
+            <div class="card tool-links">
+                <h2>Tools</h2>
+                <ul>
+                    ${tools.map(tool => `
+                    <li><a href="../../${tool.slug}/">${tool.title}</a> – ${tool.description}</li>
+                    `).join('')}
+                </ul>
+            </div>
+            ` : ''}
+
+            <div class="converters-grid">
+                ${keys.map(key => `
+                ${keys.length > 1 ? `<h2 class="subcategory-heading">${key ? getCategoryDisplayName(key) : 'Other'}</h2>` : ''}
+                ${groups.get(key).map(converter => generateConverterCard(converter, '../../')).join('')}
+                `).join('')}
+            </div>
+        </div>
+    </main>
+    ${generateFooter('converters/category/' + getCategorySlug(category))}
+    <script>${CONVERTER_JS}</script>
+</body>
+</html>
+    `;
+}
+
+// Converters index page with category filtering
+function generateConvertersIndex() {
+    const allCategories = getAllCategories();
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    ${generateMetaTags({
+        title: 'All Converters | ' + CONFIG.site.name,
+        description: 'Browse all cooking measurement converters by category. Filter and search through our collection.',
+        url: '/converters/',
+        type: 'collection'
+    })}
+    <style>${STYLES}</style>
+</head>
+<body class="converters-page">
+    ${generateNavigation('converters', 'converters')}
+    ${generateBreadcrumbs('collection', {title: 'Converters'}, 'converters')}
+    ${generateBreadcrumbSchema('collection', {title: 'Converters'}, 'converters')}
+
+    <main class="main-content">
+        <div class="container">
+            <div class="card converters-header">
+                <h1 style="color: var(--primary); margin-bottom: 0.5rem; font-size: 1.75rem;">All Cooking Converters</h1>
+                <p style="margin-bottom: 1rem; font-size: 0.9rem;">Find the perfect converter for your needs. Filter by category or search.</p>
+
+                <!-- Search Bar -->
+                <div class="search-container">
+                    <span class="search-icon">🔍</span>
+                    <input type="text"
+                           id="searchConverters"
+                           class="search-input"
+                           placeholder="Search converters by name, description, or category..."
+                           aria-label="Search converters">
+                </div>
+
+                <!-- Category Filters -->
+                ${allCategories.length > 0 ? `
+                <div class="category-filters">
+                    <span style="font-weight: 600; margin-right: 0.5rem; font-size: 0.9rem;">Categories:</span>
+                    <a href="#" class="category-filter active" data-category="all">All</a>
+                    ${allCategories.map(cat => `
+                    <a href="${getCategoryPages().includes(cat) ? `category/${getCategorySlug(cat)}/` : '#'}" class="category-filter" data-category="${cat}">
+                        ${getCategoryDisplayName(cat)}
+                    </a>
+                    `).join('')}
+                    <button class="clear-filters" style="margin-left: auto;">Clear Filters</button>
+                </div>
+                ` : ''}
+
+                <p style="margin: 1rem 0; color: var(--text); font-size: 0.9rem;">
+                    Showing <span class="converter-count">${CONVERTERS.converters.length}</span> of ${CONVERTERS.converters.length} converters
+                </p>
+            </div>
+
+            ${getToolPages().length > 0 ? `
+            <div class="card tool-links">
+                <h2>Recipe Tools</h2>
+                <ul>
+                    ${getToolPages().map(tool => `
+                    <li><a href="${tool.slug}/">${tool.title}</a> – ${tool.description}</li>
+                    `).join('')}
+                </ul>
+            </div>
+            ` : ''}
+
+            <!-- Converters Grid -->
+            <div class="converters-grid">
+                ${sortByPopularity(CONVERTERS.converters).map(converter => generateConverterCard(converter, '')).join('')}
+
+                <!-- No Results Message -->
+                <div class="no-results">
+                    <p>No converters found matching your criteria.</p>
+                    <p>Try a different search term or category.</p>
+                </div>
+            </div>
+        </div>
+    </main>
+    ${generateFooter('converters')}
+    <script>${CONVERTER_JS}</script>
+</body>
+</html>
+    `;
+}
+
+// ==============================
+// TOOL PAGES
+// ==============================
+
+// Interactive pages under /converters/<slug>/ that work on a whole ingredient
+// list rather than one value. Their copy comes from content.json "tools"; a
+// page is only built when its entry exists.
+const TOOL_PAGES = {
+    'recipe-converter': generateRecipeConverterUI,
+    'recipe-scaler': generateRecipeScalerUI,
+    'pan-size-converter': generatePanConverterUI
+};
+
+function isConverterSlug(slug) {
+    return CONVERTERS.converters.some(converter => converter.slug === slug);
+}
+
+// A converter with the same slug keeps its page
+function getToolPages() {
+    const tools = CONTENT.tools || {};
+    return Object.keys(TOOL_PAGES)
+        .filter(slug => tools[slug] && !isConverterSlug(slug))
+        .map(slug => Object.assign({ slug }, tools[slug]));
+}
+
+// Engine data for free-form recipe lines: every mass and volume unit in the
+// registry, every ingredient in the density database and the name lookups
+// used by ConversionEngine.parseIngredientLine
+function getRecipeEngineData() {
+    const units = UnitRegistry.getUnits().filter(unit =>
+        (unit.dimension === 'mass' || unit.dimension === 'volume') && typeof unit.factor === 'number');
+
+    const unitNames = {};
+    const unitSymbols = {};
+    const unitIngredients = {};
+    units.forEach(unit => {
+        [unit.id, ...(unit.aliases || [])].forEach(name => { unitNames[name.toLowerCase()] = unit.id; });
+        (unit.caseSensitiveAliases || []).forEach(name => { unitSymbols[name] = unit.id; });
+        if (unit.ingredients) {
+            unitIngredients[unit.id] = unit.ingredients.map(name => {
+                const ingredient = IngredientDatabase.resolveIngredient(name);
+                return ingredient ? ingredient.id : name;
+            });
+        }
+    });
+
+    const ingredientNames = {};
+    IngredientDatabase.getIngredients().forEach(ingredient => {
+        [ingredient.id, ingredient.name, ...(ingredient.aliases || [])].forEach(name => { ingredientNames[name] = ingredient.id; });
+    });
+
+    const data = IngredientDatabase.attachIngredientData(UnitRegistry.attachMeasuringSets(
+        UnitRegistry.attachUnitDefinitions({ id: 'recipe', supportedUnits: units.map(unit => unit.id) })));
+    return Object.assign(data, { unitNames, unitSymbols, unitIngredients, ingredientNames });
+}
+
+function generateRecipeConverterUI(tool) {
+    return `
+    <section class="content-section recipe-tool">
+        <label for="recipeInput" class="recipe-tool-label">Ingredient lines, one per line</label>
+        <textarea id="recipeInput" class="recipe-textarea" rows="10" spellcheck="false">${(tool.sample || []).join('\n')}</textarea>
+
+        <div class="output-mode">
+            <label for="recipeSystem">Convert to:</label>
+            <select id="recipeSystem" class="converter-select">
+                <option value="metric">Metric (grams and millilitres)</option>
+                <option value="us">US cups and spoons</option>
+            </select>
+        </div>
+
+        <ol class="recipe-lines" id="recipeLines" aria-live="polite"></ol>
+        <p class="recipe-summary" id="recipeSummary"></p>
+
+        <div class="recipe-copy">
+            <button type="button" class="recipe-copy-button" data-format="text">Copy as text</button>
+            <button type="button" class="recipe-copy-button" data-format="markdown">Copy as Markdown</button>
+        </div>
+        <script type="application/json" id="recipe-data">
+        ${JSON.stringify(getRecipeEngineData())}
+        </script>
+    </section>
+    `;
+}
+
+// Pans that pans.json describes fully enough to compare
+function getToolPans() {
+    return (PANS.pans || []).filter(pan => ConversionEngine.panArea(pan) !== null);
+}
+
+function generateRecipeScalerUI(tool) {
+    const pans = getToolPans();
+    const panOptions = (selected) => pans.map(pan =>
+        `<option value="${pan.id}"${pan.id === selected ? ' selected' : ''}>${pan.name}</option>`).join('');
+
+    return `
+    <section class="content-section recipe-tool">
+        <label for="recipeInput" class="recipe-tool-label">Ingredient lines, one per line</label>
+        <textarea id="recipeInput" class="recipe-textarea" rows="10" spellcheck="false">${(tool.sample || []).join('\n')}</textarea>
+
+        <div class="output-mode">
+            <label for="scaleMode">Scale by:</label>
+            <select id="scaleMode" class="converter-select">
+                <option value="servings">Servings</option>
+                ${pans.length > 1 ? '<option value="pan">Pan size</option>' : ''}
+            </select>
+        </div>
+
+        <div class="scale-inputs" id="scaleServings">
+            <label>Recipe serves
+                <input type="text" id="servingsFrom" class="converter-input" value="${tool.servings || 4}" autocomplete="off">
+            </label>
+            <label>I want to serve
+                <input type="text" id="servingsTo" class="converter-input" value="${(tool.servings || 4) * 2}" autocomplete="off">
+            </label>
+        </div>
+
+        ${pans.length > 1 ? `
+        <div class="scale-inputs" id="scalePans" hidden>
+            <label>Recipe pan
+                <select id="panFrom" class="converter-select">${panOptions(tool.pans && tool.pans.from)}</select>
+            </label>
+            <label>My pan
+                <select id="panTo" class="converter-select">${panOptions(tool.pans && tool.pans.to)}</select>
+            </label>
+        </div>
+        ` : ''}
+
+        <p class="recipe-summary" id="scaleFactor"></p>
+        <ul class="recipe-warnings" id="recipeWarnings"></ul>
+        <ol class="recipe-lines" id="recipeLines" aria-live="polite"></ol>
+        <p class="recipe-summary" id="recipeSummary"></p>
+
+        <div class="recipe-copy">
+            <button type="button" class="recipe-copy-button" data-format="text">Copy as text</button>
+            <button type="button" class="recipe-copy-button" data-format="markdown">Copy as Markdown</button>
+        </div>
+        <script type="application/json" id="recipe-scaler-data">
+        ${JSON.stringify(Object.assign(getRecipeEngineData(), { pans }))}
+        </script>
+    </section>
+    `;
+}
+
+// Size fields of the pan converter and the shapes that use them
+const PAN_FIELDS = [
+    { id: 'diameter', label: 'Diameter', shapes: ['round', 'bundt'] },
+    { id: 'width', label: 'Width', shapes: ['square', 'rectangle', 'loaf'] },
+    { id: 'length', label: 'Length', shapes: ['rectangle', 'loaf'] },
+    { id: 'depth', label: 'Depth (optional)', shapes: ConversionEngine.PAN_SHAPES },
+    { id: 'cups', label: 'Capacity in cups (optional)', shapes: ['bundt'] }
+];
+
+function generatePanPicker(id, title, pans, selected) {
+    return `
+        <fieldset class="pan-picker" id="${id}">
+            <legend>${title}</legend>
+            <label>Pan
+                <select class="converter-select" data-field="preset">
+                    ${pans.map(pan => `<option value="${pan.id}"${pan.id === selected ? ' selected' : ''}>${pan.name}</option>`).join('')}
+                    <option value="">Custom size</option>
+                </select>
+            </label>
+            <label>Shape
+                <select class="converter-select" data-field="shape">
+                    ${ConversionEngine.PAN_SHAPES.map(shape => `<option value="${shape}">${shape.charAt(0).toUpperCase() + shape.slice(1)}</option>`).join('')}
+                </select>
+            </label>
+            <label>Units
+                <select class="converter-select" data-field="unit">
+                    <option value="in">Inches</option>
+                    <option value="cm">Centimetres</option>
+                </select>
+            </label>
+            ${PAN_FIELDS.map(field => `
+            <label data-shapes="${field.shapes.join(' ')}">${field.label}
+                <input type="text" class="converter-input" data-field="${field.id}" autocomplete="off">
+            </label>
+            `).join('')}
+        </fieldset>`;
+}
+
+// Quick-reference table of the swaps listed in content.json, computed with
+// the same engine as the converter above it
+function generatePanSwapTable(tool, pans) {
+    const byId = new Map(pans.map(pan => [pan.id, pan]));
+    const rows = (tool.swaps || [])
+        .filter(([from, to]) => byId.has(from) && byId.has(to))
+        .map(([from, to]) => {
+            const comparison = ConversionEngine.comparePans(byId.get(from), byId.get(to));
+            return [
+                byId.get(from).name,
+                byId.get(to).name,
+                { display: '×' + formatTableValue(comparison.multiplier), sort: comparison.multiplier },
+                { display: ConversionEngine.describeBakeTime(comparison.bakeTimeFactor), sort: comparison.bakeTimeFactor }
+            ];
+        });
+    if (rows.length === 0) return '';
+
+    return renderSortableTable({
+        title: 'Common Pan Swaps',
+        description: 'Multiply every ingredient by the figure shown to fill your pan to the same depth. Pans are compared by volume, assuming straight sides.'
+    }, ['Recipe pan', 'Your pan', 'Multiply by', 'Bake time'], rows, 'conversion-table-section');
+}
+
+function generatePanConverterUI(tool) {
+    const pans = getToolPans();
+    const selected = tool.pans || {};
+
+    return `
+    <section class="content-section pan-tool">
+        <div class="pan-pickers">
+            ${generatePanPicker('panPickerFrom', 'Recipe pan', pans, selected.from)}
+            ${generatePanPicker('panPickerTo', 'Your pan', pans, selected.to)}
+        </div>
+
+        <label class="pan-bake-time">Recipe bake time in minutes (optional)
+            <input type="text" id="bakeMinutes" class="converter-input" placeholder="e.g. 30" autocomplete="off">
+        </label>
+
+        <div class="pan-result" aria-live="polite">
+            <p class="pan-multiplier" id="panMultiplier"></p>
+            <ul class="pan-details" id="panDetails"></ul>
+        </div>
+        <script type="application/json" id="pan-data">
+        ${JSON.stringify({ pans })}
+        </script>
+    </section>
+
+    ${generatePanSwapTable(tool, pans)}
+    `;
+}
+
+function generateToolPage(tool) {
+    const page = {
+        title: tool.title,
+        description: tool.description,
+        url: `/converters/${tool.slug}/`,
+        type: 'tool',
+        keywords: tool.keywords || tool.title,
+        dateModified: tool.lastUpdated
+    };
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    ${generateMetaTags(page)}
+    <style>${STYLES}</style>
+    <link rel="icon" href="data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text y=%22.9em%22 font-size=%2290%22>${CONFIG.site.logo}</text></svg>">
+</head>
+<body>
+    ${generateNavigation(tool.slug, 'converters/' + tool.slug)}
+    ${generateBreadcrumbs('converter', tool, 'converters')}
+    ${generateBreadcrumbSchema('converter', tool, 'converters')}
+
+    <main class="main-content">
+        <div class="container">
+            <div class="back-to-converters">
+                <a href="../">← Back to All Converters</a>
+            </div>
+
+            <div class="card">
+                <h1 style="color: var(--primary); font-size: 1.75rem;">${tool.title}</h1>
+                ${tool.intro ? `<p class="hero-intro">${tool.intro}</p>` : ''}
+            </div>
+
+            ${TOOL_PAGES[tool.slug](tool)}
+
+            ${tool.faqs ? `
+            <div class="card">
+                <h2>Frequently Asked Questions</h2>
+                <div class="faq-section">
+                    ${tool.faqs.map(faq => `
+                    <div class="faq-item">
+                        <button class="faq-question" aria-expanded="false">
+                            ${faq.question}
+                            <span>+</span>
+                        </button>
+                        <div class="faq-answer" style="display: none;">
+                            <p style="font-size: 0.9rem;">${faq.answer}</p>
+                        </div>
+                    </div>
+                    `).join('')}
+                </div>
+            </div>
+            ` : ''}
+        </div>
+    </main>
+
+    ${generateFooter('converters/' + tool.slug)}
+
+    ${generateEngineScript('../../')}
+    <script>${CONVERTER_JS}</script>
+</body>
+</html>
+    `;
+}
+
 // ==============================
 // SITEMAP GENERATOR
 // ==============================
 
-function generateSitemap() {
-    const pages = [
-        {
-            url: '/',
-            lastmod: formatDate(),
-            changefreq: 'daily',
-            priority: '1.0'
-        },
-        {
-            url: '/about/',
-            lastmod: formatDate(),
-            changefreq: 'monthly',
-            priority: '0.8'
-        },
-        {
-            url: '/contact/',
-            lastmod: formatDate(),
-            changefreq: 'monthly',
-            priority: '0.8'
-        },
-        {
-            url: '/privacy/',
-            lastmod: formatDate(),
-            changefreq: 'yearly',
-            priority: '0.5'
-        },
+// Content hash and lastmod of every sitemap URL from the previous build. Kept
+// beside the JSON sources rather than in ./public (which is wiped on every
+// build) and committed with the build output, so unchanged pages keep their
+// lastmod on fresh checkouts. See "Building and deploying" in README.md.
+const SITEMAP_STATE_PATH = './sitemap-state.json';
+
+function isValidDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(value + 'T00:00:00Z');
+    return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+function contentHash(...parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
+}
+
+const gitCommitDates = new Map();
+
+// Date of the last commit touching a source file. Uncommitted edits, or no
+// git at all, count as changed today.
+function gitCommitDate(file) {
+    if (!gitCommitDates.has(file)) {
+        let date = null;
+        try {
+            const options = { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] };
+            const dirty = execFileSync('git', ['status', '--porcelain', '--', file], options).trim();
+            if (!dirty) {
+                date = execFileSync('git', ['log', '-1', '--format=%cs', '--', file], options).trim() || null;
+            }
+        } catch (error) {
+            date = null;
+        }
+        gitCommitDates.set(file, date || formatDate());
+    }
+    return gitCommitDates.get(file);
+}
+
+function loadSitemapState() {
+    if (!existsSync(SITEMAP_STATE_PATH)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(SITEMAP_STATE_PATH, 'utf8')).pages || {};
+    } catch (error) {
+        console.warn(`   ⚠️ Ignoring unreadable ${SITEMAP_STATE_PATH}: ${error.message}`);
+        return {};
+    }
+}
+
+function saveSitemapState(pages) {
+    const state = { pages: {} };
+    pages.forEach(page => {
+        state.pages[page.url] = { hash: page.hash, lastmod: page.lastmod };
+    });
+    fs.writeFileSync(SITEMAP_STATE_PATH, JSON.stringify(state, null, 2) + '\n');
+}
+
+// Listing fields shown on the homepage and index grids
+function converterListing(converter) {
+    return [converter.slug, converter.title, converter.description, converter.categories,
+        converter.subcategory, converter.popularity, converter.lastUpdated, converter.featured];
+}
+
+// First valid date among an item's own date fields
+function itemDate(url, ...dates) {
+    const given = dates.filter(date => date !== undefined && date !== null && date !== '');
+    given.filter(date => !isValidDate(date)).forEach(date => {
+        console.warn(`   ⚠️ Ignoring invalid date "${date}" for ${url} in sitemap`);
+    });
+    return given.find(isValidDate) || null;
+}
+
+// Same rule as blogUpdatedDate for the feeds: an updated_date before the
+// post was published is treated as a typo
+function blogItemDate(url, blog) {
+    const date = itemDate(url, blog.updated_date, blog.published_date);
+    return date && isValidDate(blog.published_date) && date < blog.published_date ? blog.published_date : date;
+}
+
+// lastmod comes from the item's own date field; otherwise the previous lastmod
+// is kept while the content hash is unchanged, and new or changed pages get the
+// git commit date of their JSON source
+function getSitemapPages() {
+    const previous = loadSitemapState();
+    const publishedBlogs = getPublishedBlogs();
+
+    const entries = [
         {
-            url: '/terms/',
-            lastmod: formatDate(),
-            changefreq: 'yearly',
-            priority: '0.5'
+            url: '/',
+            hash: contentHash(CONTENT.homepage, CONVERTERS.converters.map(converterListing)),
+            sources: ['./content.json', './converters.json'],
+            changefreq: 'daily',
+            priority: '1.0'
         },
+        ...['about', 'contact', 'privacy', 'terms'].map(pageName => ({
+            url: '/' + pageName + '/',
+            date: itemDate('/' + pageName + '/', CONTENT[pageName] && CONTENT[pageName].lastUpdated),
+            hash: contentHash(CONTENT[pageName]),
+            sources: ['./content.json'],
+            changefreq: pageName === 'privacy' || pageName === 'terms' ? 'yearly' : 'monthly',
+            priority: pageName === 'privacy' || pageName === 'terms' ? '0.5' : '0.8'
+        })),
         {
             url: '/blog/',
-            lastmod: formatDate(),
+            hash: contentHash(publishedBlogs.map(blog => [blog.slug, blog.title, blog.description, blog.published_date])),
+            sources: ['./blogs.json'],
             changefreq: 'weekly',
             priority: '0.7'
         },
+        ...getCategoryPages().map(category => ({
+            url: '/converters/category/' + getCategorySlug(category) + '/',
+            hash: contentHash(getCategoryDisplayName(category), getCategoryIntro(category),
+                getCategoryConverters(category).map(converterListing), getCategoryTools(category)),
+            sources: ['./config.json', './converters.json', './content.json'],
+            changefreq: 'weekly',
+            priority: '0.8'
+        })),
+        // Blog pagination and archives; the first index page is /blog/ above
+        ...getBlogListPages().filter(listPage => listPage.path !== 'blog/').map(listPage => ({
+            url: '/' + listPage.path,
+            hash: contentHash(listPage.title, listPage.posts.map(blog => [blog.slug, blog.title, blog.description, blog.published_date])),
+            sources: ['./blogs.json'],
+            changefreq: 'weekly',
+            priority: '0.5'
+        })),
+        ...getToolPages().map(tool => ({
+            url: '/converters/' + tool.slug + '/',
+            date: itemDate('/converters/' + tool.slug + '/', tool.lastUpdated),
+            hash: contentHash(tool, getToolPans()),
+            sources: ['./content.json', './pans.json'],
+            changefreq: 'monthly',
+            priority: '0.8'
+        })),
         ...CONVERTERS.converters.map(converter => ({
             url: '/converters/' + converter.slug + '/',
-            lastmod: formatDate(),
+            date: itemDate('/converters/' + converter.slug + '/', converter.lastUpdated),
+            hash: contentHash(converter),
+            sources: ['./converters.json'],
             changefreq: 'weekly',
             priority: '0.9'
+        })),
+        ...publishedBlogs.map(blog => ({
+            url: '/blog/' + blog.slug + '/',
+            date: blogItemDate('/blog/' + blog.slug + '/', blog),
+            hash: contentHash(blog),
+            sources: ['./blogs.json'],
+            changefreq: 'monthly',
+            priority: '0.6'
         }))
     ];
 
-    // Add blog posts to sitemap
-    if (BLOGS.blogs && BLOGS.blogs.length > 0) {
-        const publishedBlogs = BLOGS.blogs.filter(blog => blog.published !== false);
-        publishedBlogs.forEach(blog => {
-            pages.push({
-                url: '/blog/' + blog.slug + '/',
-                lastmod: blog.published_date || formatDate(),
-                changefreq: 'monthly',
-                priority: '0.6'
-            });
-        });
-    }
+    return entries.map(entry => {
+        const before = previous[entry.url];
+        const lastmod = entry.date ||
+            (before && before.hash === entry.hash && before.lastmod) ||
+            entry.sources.map(gitCommitDate).sort().pop();
+
+        return {
+            url: entry.url,
+            lastmod,
+            hash: entry.hash,
+            changefreq: entry.changefreq,
+            priority: entry.priority
+        };
+    });
+}
 
+function generateSitemap(pages = getSitemapPages()) {
     return `<?xml version="1.0" encoding="UTF-8"?>
 <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
 ${pages.map(page => `
@@ -4055,6 +6109,137 @@ Allow: /
 `;
 }
 
+// ==============================
+// BLOG FEEDS (RSS 2.0 AND ATOM)
+// ==============================
+
+const FEED_LIMIT = 20;
+
+// Every feed lives under /blog/; the summary variants leave out the article body
+const BLOG_FEEDS = [
+    { file: 'rss.xml', format: 'rss', full: true, title: 'Blog (RSS)' },
+    { file: 'atom.xml', format: 'atom', full: true, title: 'Blog (Atom)' },
+    { file: 'rss-summary.xml', format: 'rss', full: false, title: 'Blog summaries (RSS)' },
+    { file: 'atom-summary.xml', format: 'atom', full: false, title: 'Blog summaries (Atom)' }
+];
+
+const FEED_IMAGE_TYPES = { '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml' };
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function absoluteUrl(url) {
+    if (/^https?:\/\//i.test(url)) return url;
+    return CONFIG.site.url + (url.startsWith('/') ? '' : '/') + url;
+}
+
+// An updated_date before the post was published is treated as a typo
+function blogUpdatedDate(blog) {
+    return isValidDate(blog.updated_date) && blog.updated_date > blog.published_date
+        ? blog.updated_date
+        : blog.published_date;
+}
+
+// Newest first; posts without a valid published_date cannot be dated and are left out
+function getFeedBlogs() {
+    const blogs = getPublishedBlogs();
+    const dated = blogs.filter(blog => isValidDate(blog.published_date));
+
+    blogs.filter(blog => !dated.includes(blog)).forEach(blog => {
+        console.warn(`   ⚠️ Blog ${blog.slug} has no valid published_date and is left out of the feeds`);
+    });
+
+    return dated
+        .sort((a, b) => b.published_date.localeCompare(a.published_date))
+        .slice(0, FEED_LIMIT);
+}
+
+function generateFeedLinks() {
+    if (getPublishedBlogs().length === 0) return '';
+
+    return `
+    <!-- Feeds -->
+    ${BLOG_FEEDS.map(feed => `<link rel="alternate" type="application/${feed.format}+xml" title="${CONFIG.site.name} ${feed.title}" href="${CONFIG.site.url}/blog/${feed.file}">`).join('\n    ')}`;
+}
+
+function generateRssFeed(feed, blogs) {
+    const blogUrl = `${CONFIG.site.url}/blog/`;
+    const lastUpdated = blogs.map(blogUpdatedDate).sort().pop() || formatDate();
+    const rfc822 = date => new Date(date + 'T00:00:00Z').toUTCString();
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+     xmlns:atom="http://www.w3.org/2005/Atom"
+     xmlns:content="http://purl.org/rss/1.0/modules/content/"
+     xmlns:dc="http://purl.org/dc/elements/1.1/"
+     xmlns:media="http://search.yahoo.com/mrss/">
+    <channel>
+        <title>${escapeXml(CONFIG.site.name)} Blog</title>
+        <link>${blogUrl}</link>
+        <description>${escapeXml(CONFIG.site.description)}</description>
+        <language>en-us</language>
+        <lastBuildDate>${rfc822(lastUpdated)}</lastBuildDate>
+        <atom:link href="${blogUrl}${feed.file}" rel="self" type="application/rss+xml"/>
+${blogs.map(blog => `
+        <item>
+            <title>${escapeXml(blog.title)}</title>
+            <link>${blogUrl}${blog.slug}/</link>
+            <guid isPermaLink="true">${blogUrl}${blog.slug}/</guid>
+            <pubDate>${rfc822(blog.published_date)}</pubDate>
+            ${blog.author ? `<dc:creator>${escapeXml(blog.author)}</dc:creator>` : ''}
+            ${blog.category ? `<category>${escapeXml(blog.category)}</category>` : ''}
+            <description>${escapeXml(blog.description || blog.title)}</description>
+            ${feed.full ? `<content:encoded>${escapeXml(generateBlogBody(blog))}</content:encoded>` : ''}
+            ${blog.featured_image ? `<media:content url="${escapeXml(absoluteUrl(blog.featured_image))}" medium="image"/>` : ''}
+        </item>`).join('')}
+    </channel>
+</rss>
+`;
+}
+
+function generateAtomFeed(feed, blogs) {
+    const blogUrl = `${CONFIG.site.url}/blog/`;
+    const lastUpdated = blogs.map(blogUpdatedDate).sort().pop() || formatDate();
+    const timestamp = date => date + 'T00:00:00Z';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+    <title>${escapeXml(CONFIG.site.name)} Blog</title>
+    <subtitle>${escapeXml(CONFIG.site.description)}</subtitle>
+    <id>${blogUrl}${feed.file}</id>
+    <link href="${blogUrl}${feed.file}" rel="self" type="application/atom+xml"/>
+    <link href="${blogUrl}" rel="alternate" type="text/html"/>
+    <updated>${timestamp(lastUpdated)}</updated>
+    <author>
+        <name>${escapeXml(CONFIG.site.name)}</name>
+    </author>
+${blogs.map(blog => `
+    <entry>
+        <title>${escapeXml(blog.title)}</title>
+        <id>${blogUrl}${blog.slug}/</id>
+        <link href="${blogUrl}${blog.slug}/" rel="alternate" type="text/html"/>
+        <published>${timestamp(blog.published_date)}</published>
+        <updated>${timestamp(blogUpdatedDate(blog))}</updated>
+        ${blog.author ? `<author><name>${escapeXml(blog.author)}</name></author>` : ''}
+        ${blog.category ? `<category term="${escapeXml(blog.category)}"/>` : ''}
+        <summary>${escapeXml(blog.description || blog.title)}</summary>
+        ${feed.full ? `<content type="html" xml:base="${blogUrl}${blog.slug}/">${escapeXml(generateBlogBody(blog))}</content>` : ''}
+        ${blog.featured_image ? `<link rel="enclosure" href="${escapeXml(absoluteUrl(blog.featured_image))}" type="${FEED_IMAGE_TYPES[path.extname(blog.featured_image.split('?')[0]).toLowerCase()] || 'image/jpeg'}"/>` : ''}
+    </entry>`).join('')}
+</feed>
+`;
+}
+
+function generateBlogFeed(feed, blogs) {
+    return feed.format === 'atom' ? generateAtomFeed(feed, blogs) : generateRssFeed(feed, blogs);
+}
+
 // ==============================
 // DEFAULT JSON CREATION
 // ==============================
@@ -4367,6 +6552,25 @@ function validateConverter(converter) {
             }
         }
 
+        // Check conversionTable
+        if (converter.contentSections.conversionTable) {
+            if (!Array.isArray(converter.contentSections.conversionTable.rows)) {
+                throw new Error(`Invalid conversionTable.rows - must be an array in converter ${converter.id}`);
+            }
+        }
+
+        // Check generatedTable
+        const generatedTable = converter.contentSections.generatedTable;
+        if (generatedTable) {
+            if (!generatedTable.from || !generatedTable.to || !Array.isArray(generatedTable.values)) {
+                throw new Error(`Invalid generatedTable - needs "from", "to" and a "values" array in converter ${converter.id}`);
+            }
+            const badValue = generatedTable.values.find(value => ConversionEngine.parseQuantity(value) === null);
+            if (badValue !== undefined) {
+                throw new Error(`Invalid generatedTable value "${badValue}" in converter ${converter.id}`);
+            }
+        }
+
         // Check visualChart
         if (converter.contentSections.visualChart) {
             if (converter.contentSections.visualChart.items &&
@@ -4421,39 +6625,232 @@ function validateConverter(converter) {
         throw new Error(`Invalid faqs - must be an array in converter ${converter.id}`);
     }
 
+    // Check every formula parses with the safe evaluator
+    const formulaProblems = ConversionEngine.validateFormulas(converter);
+    if (formulaProblems.length > 0) {
+        const problem = formulaProblems[0];
+        throw new Error(`Invalid formula ${problem.list}[${problem.index}] in converter ${converter.id}: ${problem.message}`);
+    }
+
+    // Report one-way formulas whose reverse direction cannot be derived
+    ConversionEngine.findNonInvertibleFormulas(converter).forEach(problem => {
+        console.warn(`   ⚠️ conversionFormulas[${problem.index}] in converter ${converter.id}: ${problem.message}`);
+    });
+
+    // Report ingredientFormulas ingredients that ingredients.json does not know about
+    IngredientDatabase.findUnknownIngredients(converter).forEach(name => {
+        console.warn(`   ⚠️ Ingredient "${name}" is not in ingredients.json (converter ${converter.id})`);
+    });
+
+    // Report manualRelatedLinks that do not point at an existing converter id
+    (converter.manualRelatedLinks || []).forEach(linkId => {
+        if (!CONVERTERS.converters.some(c => c.id === linkId)) {
+            console.warn(`   ⚠️ manualRelatedLinks entry "${linkId}" is not a converter id (converter ${converter.id})`);
+        }
+    });
+
+    // Report units that units.json does not know about
+    UnitRegistry.findUnknownUnits(converter).forEach(unit => {
+        console.warn(`   ⚠️ Unit "${unit}" is not in units.json (converter ${converter.id})`);
+    });
+
+    // Check the default conversion resolves through the shared engine
+    if (converter.defaults && converter.defaults.from && converter.defaults.to) {
+        const { value = 1, from, to } = converter.defaults;
+        if (ConversionEngine.convert(converter, value, from, to) === null) {
+            console.warn(`   ⚠️ Default conversion "${from}" → "${to}" is not available in converter ${converter.id}`);
+        }
+    }
+
     console.log(`   ✓ Validated: ${converter.id}`);
 }
 
+function validateBlog(blog) {
+    for (const field of ['slug', 'title']) {
+        if (!blog[field]) {
+            throw new Error(`Missing required field: ${field}`);
+        }
+    }
+
+    if (blog.contentSequence === undefined) return;
+
+    if (!Array.isArray(blog.contentSequence)) {
+        throw new Error(`Invalid contentSequence - must be an array in blog ${blog.slug}`);
+    }
+    if (blog.contentSections && typeof blog.contentSections !== 'object') {
+        throw new Error(`Invalid contentSections - must be an object in blog ${blog.slug}`);
+    }
+
+    blog.contentSequence.forEach(sectionType => {
+        if (!BLOG_SECTION_TYPES.includes(sectionType)) {
+            console.warn(`   ⚠️ Unknown section "${sectionType}" in contentSequence (blog ${blog.slug})`);
+        } else if (sectionType === 'content' ? !blog.content
+            : !blog.contentSections?.[sectionType] && !(sectionType === 'intro' && blog.intro)) {
+            console.warn(`   ⚠️ contentSequence lists "${sectionType}" but the blog has no content for it (blog ${blog.slug})`);
+        }
+    });
+
+    if (blog.contentSections?.paragraphTable?.tableData &&
+        !Array.isArray(blog.contentSections.paragraphTable.tableData.rows)) {
+        throw new Error(`Invalid paragraphTable - tableData.rows must be an array in blog ${blog.slug}`);
+    }
+}
+
+// ==============================
+// INCREMENTAL BUILD
+// ==============================
+
+// Hash of every page written by the last build. Kept beside the sitemap state
+// rather than in ./public, which is deployed as-is; it is a local cache and
+// git-ignored. writePage still rebuilds pages missing from the output.
+const BUILD_MANIFEST_PATH = './.build-manifest.json';
+
+// Output of a normal build, which is committed and deployed, and of --as-of
+// previews, which is neither
+const OUTPUT_DIR = './public';
+const PREVIEW_DIR = './preview';
+
+// A preview keeps its own manifest inside its output directory
+function getBuildManifestPath(outputDir) {
+    return outputDir === OUTPUT_DIR ? BUILD_MANIFEST_PATH : path.join(outputDir, path.basename(BUILD_MANIFEST_PATH));
+}
+
+// Inputs shared by every page: the generator itself (templates, styles and
+// widget script), the inlined engine, the site config, the footer's converter
+// links and whether the navigation shows the blog
+function getTemplateHash() {
+    return contentHash(
+        fs.readFileSync(__filename, 'utf8'),
+        CONVERSION_ENGINE_JS,
+        CONFIG,
+        CONVERTERS.converters.slice(0, 3).map(converter => [converter.slug, converter.title]),
+        Boolean(BLOGS.blogs && BLOGS.blogs.length > 0)
+    );
+}
+
+function loadBuildManifest(outputDir) {
+    const manifestPath = getBuildManifestPath(outputDir);
+    if (!existsSync(manifestPath)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        console.warn(`   ⚠️ Ignoring unreadable ${manifestPath}: ${error.message}`);
+        return null;
+    }
+}
+
+function saveBuildManifest(build) {
+    fs.writeFileSync(
+        getBuildManifestPath(build.outputDir),
+        JSON.stringify(build.manifest, null, 2) + '\n'
+    );
+}
+
+// Renders and writes a page unless its inputs hash the same as in the last
+// build and the file is still there. File paths are relative to outputDir.
+async function writePage(build, file, inputs, render) {
+    const hash = contentHash(build.templateHash, inputs);
+    const previous = build.previous[file];
+    const outputPath = path.join(build.outputDir, file);
+
+    if (previous && previous.hash === hash && existsSync(outputPath)) {
+        build.manifest.pages[file] = previous;
+        build.summary.unchanged.push(file);
+        return;
+    }
+
+    const content = render();
+    ensureDirectory(path.dirname(outputPath));
+    await writeFile(outputPath, content);
+    build.manifest.pages[file] = { hash };
+    build.summary[previous ? 'updated' : 'created'].push(file);
+}
+
+// A page that failed to generate keeps its last good version and is retried next build
+function keepPreviousPage(build, file) {
+    if (build.previous[file]) {
+        build.manifest.pages[file] = { hash: null };
+    }
+}
+
+function deleteRemovedPages(build) {
+    Object.keys(build.previous)
+        .filter(file => !build.manifest.pages[file])
+        .forEach(file => {
+            const outputPath = path.join(build.outputDir, file);
+            if (existsSync(outputPath)) {
+                fs.unlinkSync(outputPath);
+            }
+
+            // Remove directories the page leaves empty, up to the output directory
+            let dir = path.dirname(outputPath);
+            while (path.resolve(dir) !== path.resolve(build.outputDir) &&
+                existsSync(dir) && fs.readdirSync(dir).length === 0) {
+                fs.rmdirSync(dir);
+                dir = path.dirname(dir);
+            }
+
+            build.summary.deleted.push(file);
+        });
+}
+
+function printBuildSummary(summary) {
+    console.log(`\n📦 Incremental build: ${summary.created.length} created, ${summary.updated.length} updated, ` +
+        `${summary.deleted.length} deleted, ${summary.unchanged.length} unchanged`);
+    summary.created.forEach(file => console.log(`   + ${file}`));
+    summary.updated.forEach(file => console.log(`   ~ ${file}`));
+    summary.deleted.forEach(file => console.log(`   - ${file}`));
+}
+
 // ==============================
 // MAIN GENERATION FUNCTION - UPDATED WITH BLOG SUPPORT
 // ==============================
 
-async function generateWebsite() {
-    console.log('🚀 Starting website generation with blog support...');
+// Resolves to false when the build failed; the error has been logged
+async function generateWebsite(options = {}) {
+    const incremental = Boolean(options.incremental);
+    AS_OF_DATE = options.asOf || formatDate();
+
+    console.log(`🚀 Starting ${incremental ? 'incremental ' : ''}website generation with blog support...`);
+    if (options.asOf) {
+        console.log(`📅 Previewing as of ${AS_OF_DATE} in ${PREVIEW_DIR} (not deployed)`);
+    }
     console.log(`📊 Site: ${CONFIG.site.name}`);
     console.log(`📊 Converters: ${CONVERTERS.converters.length}`);
-    console.log(`📊 Blog Posts: ${BLOGS.blogs ? BLOGS.blogs.filter(b => b.published !== false).length : 0}`);
+    console.log(`📊 Blog Posts: ${getPublishedBlogs().length}`);
 
     // Get categories info
     const allCategories = getAllCategories();
     console.log(`📊 Categories: ${allCategories.length}`);
 
-    const outputDir = './public';
+    // A preview of another day must not leave held-back posts in the deployable output
+    const outputDir = options.asOf ? PREVIEW_DIR : OUTPUT_DIR;
 
     try {
-        // Clean and create directories
-        await cleanDirectory(outputDir);
+        const previousManifest = incremental ? loadBuildManifest(outputDir) : null;
+        if (incremental && !previousManifest) {
+            console.log(`ℹ️ No ${getBuildManifestPath(outputDir)}, building every page`);
+        }
+
+        // A full build starts from an empty output directory
+        if (!incremental) {
+            await cleanDirectory(outputDir);
+        }
         ensureDirectory(outputDir);
-        ensureDirectory(path.join(outputDir, 'converters'));
-        ensureDirectory(path.join(outputDir, 'about'));
-        ensureDirectory(path.join(outputDir, 'contact'));
-        ensureDirectory(path.join(outputDir, 'privacy'));
-        ensureDirectory(path.join(outputDir, 'terms'));
-        ensureDirectory(path.join(outputDir, 'blog')); // NEW: Blog directory
+
+        const build = {
+            outputDir,
+            templateHash: getTemplateHash(),
+            previous: previousManifest ? previousManifest.pages : {},
+            manifest: { pages: {} },
+            summary: { created: [], updated: [], deleted: [], unchanged: [] }
+        };
 
         // Generate pages
         console.log('📄 Generating homepage...');
-        await writeFile(path.join(outputDir, 'index.html'), generateHomepage());
+        await writePage(build, 'index.html',
+            [CONTENT.homepage, CONVERTERS.converters.map(converterListing)],
+            generateHomepage);
 
         // Converter pages - WITH ERROR HANDLING FOR EACH CONVERTER
         console.log(`⚖️ Generating ${CONVERTERS.converters.length} converter pages...`);
@@ -4461,20 +6858,19 @@ async function generateWebsite() {
         const converterErrors = [];
 
         for (const converter of CONVERTERS.converters) {
+            const file = path.join('converters', converter.slug, 'index.html');
             try {
                 console.log(`   Processing: ${converter.id}`);
 
                 // Validate converter data before generating
                 validateConverter(converter);
 
-                ensureDirectory(path.join(outputDir, 'converters', converter.slug));
-                await writeFile(
-                    path.join(outputDir, 'converters', converter.slug, 'index.html'),
-                    generateConverterPage(converter)
-                );
+                const related = getRelatedConverters(converter).map(converterListing);
+                await writePage(build, file, [converter, related], () => generateConverterPage(converter));
                 console.log(`   ✓ Generated: ${converter.id}`);
             } catch (error) {
                 console.error(`   ✗ Error generating ${converter.id}:`, error.message);
+                keepPreviousPage(build, file);
                 converterErrors.push({
                     id: converter.id,
                     error: error.message,
@@ -4486,28 +6882,45 @@ async function generateWebsite() {
         // NEW: Generate blog pages if blogs exist
         if (BLOGS.blogs && BLOGS.blogs.length > 0) {
             console.log(`📝 Generating blog pages...`);
-            const publishedBlogs = BLOGS.blogs.filter(blog => blog.published !== false);
+            const publishedBlogs = BLOGS.blogs.filter(isBlogLive);
+            const blogPages = getPublishedBlogs();
+            if (blogPages.length < publishedBlogs.length) {
+                console.warn(`   ⚠️ ${publishedBlogs.length - blogPages.length} blog post(s) share a slug with a later post and are not published`);
+            }
 
             // Generate individual blog pages
-            for (const blog of publishedBlogs) {
+            for (const blog of blogPages) {
+                const file = path.join('blog', blog.slug, 'index.html');
                 try {
-                    ensureDirectory(path.join(outputDir, 'blog', blog.slug));
-                    await writeFile(
-                        path.join(outputDir, 'blog', blog.slug, 'index.html'),
-                        generateBlogPost(blog)
-                    );
+                    validateBlog(blog);
+                    await writePage(build, file, [blog], () => generateBlogPost(blog));
                     console.log(`   ✓ Generated blog: ${blog.slug}`);
                 } catch (error) {
                     console.error(`   ✗ Error generating blog ${blog.slug}:`, error.message);
+                    keepPreviousPage(build, file);
                 }
             }
 
-            // Generate blog index page
-            await writeFile(
-                path.join(outputDir, 'blog', 'index.html'),
-                generateBlogsIndex()
-            );
-            console.log('   ✓ Generated blog index');
+            // Blog index, category and tag archives, each paginated
+            const blogListPages = getBlogListPages();
+            const blogCategoryNames = getBlogArchives()
+                .filter(archive => archive.type === 'category')
+                .map(archive => archive.name);
+            for (const listPage of blogListPages) {
+                await writePage(build, path.join(listPage.path, 'index.html'),
+                    [listPage.title, listPage.intro, listPage.page, listPage.pageCount, blogCategoryNames,
+                        listPage.posts.map(({ content, ...listing }) => listing)],
+                    () => generateBlogListPage(listPage));
+            }
+            console.log(`   ✓ Generated blog index and archives (${blogListPages.length} list pages)`);
+
+            // RSS and Atom feeds, each with full content and summaries only
+            const feedBlogs = getFeedBlogs();
+            for (const feed of BLOG_FEEDS) {
+                const xml = generateBlogFeed(feed, feedBlogs);
+                await writePage(build, path.join('blog', feed.file), [xml], () => xml);
+            }
+            console.log(`   ✓ Generated ${BLOG_FEEDS.length} feeds with ${feedBlogs.length} posts`);
         }
 
         // Static pages
@@ -4515,149 +6928,83 @@ async function generateWebsite() {
         for (const pageName of staticPages) {
             if (CONTENT[pageName]) {
                 console.log(`📄 Generating ${pageName} page...`);
-                ensureDirectory(path.join(outputDir, pageName));
-                await writeFile(
-                    path.join(outputDir, pageName, 'index.html'),
-                    generateStaticPage(pageName, CONTENT[pageName])
-                );
+                await writePage(build, path.join(pageName, 'index.html'),
+                    [CONTENT[pageName]],
+                    () => generateStaticPage(pageName, CONTENT[pageName]));
             }
         }
 
+        // Category landing pages
+        const categoryPages = getCategoryPages();
+        console.log(`🏷️ Generating ${categoryPages.length} category pages...`);
+        for (const category of categoryPages) {
+            await writePage(build, path.join('converters', 'category', getCategorySlug(category), 'index.html'),
+                [category, getCategoryDisplayName(category), getCategoryIntro(category),
+                    getCategoryConverters(category).map(converterListing), getCategoryTools(category)],
+                () => generateCategoryPage(category));
+        }
+
         // Converters index page WITH CATEGORY FILTERING
         console.log('📁 Generating converters index...');
+        await writePage(build, path.join('converters', 'index.html'),
+            [CONVERTERS.converters.map(converterListing), getToolPages()],
+            generateConvertersIndex);
 
-        const convertersIndex = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    ${generateMetaTags({
-        title: 'All Converters | ' + CONFIG.site.name,
-        description: 'Browse all cooking measurement converters by category. Filter and search through our collection.',
-        url: '/converters/',
-        type: 'collection'
-    })}
-    <style>${STYLES}</style>
-</head>
-<body class="converters-page">
-    ${generateNavigation('converters', 'converters')}
-    ${generateBreadcrumbs('collection', {title: 'Converters'}, 'converters')}
-    ${generateBreadcrumbSchema('collection', {title: 'Converters'}, 'converters')}
-
-    <main class="main-content">
-        <div class="container">
-            <div class="card converters-header">
-                <h1 style="color: var(--primary); margin-bottom: 0.5rem; font-size: 1.75rem;">All Cooking Converters</h1>
-                <p style="margin-bottom: 1rem; font-size: 0.9rem;">Find the perfect converter for your needs. Filter by category or search.</p>
-
-                <!-- Search Bar -->
-                <div class="search-container">
-                    <span class="search-icon">🔍</span>
-                    <input type="text"
-                           id="searchConverters"
-                           class="search-input"
-                           placeholder="Search converters by name, description, or category..."
-                           aria-label="Search converters">
-                </div>
-
-                <!-- Category Filters -->
-                ${allCategories.length > 0 ? `
-                <div class="category-filters">
-                    <span style="font-weight: 600; margin-right: 0.5rem; font-size: 0.9rem;">Categories:</span>
-                    <a href="#" class="category-filter active" data-category="all">All</a>
-                    ${allCategories.map(cat => `
-                    <a href="#" class="category-filter" data-category="${cat}">
-                        ${getCategoryDisplayName(cat)}
-                    </a>
-                    `).join('')}
-                    <button class="clear-filters" style="margin-left: auto;">Clear Filters</button>
-                </div>
-                ` : ''}
-
-                <p style="margin: 1rem 0; color: var(--text); font-size: 0.9rem;">
-                    Showing <span class="converter-count">${CONVERTERS.converters.length}</span> of ${CONVERTERS.converters.length} converters
-                </p>
-            </div>
-
-            <!-- Converters Grid -->
-            <div class="converters-grid">
-                ${CONVERTERS.converters.map(converter => `
-                <div class="converter-card"
-                     data-title="${converter.title}"
-                     data-description="${converter.description}"
-                     data-categories="${converter.categories ? converter.categories.join(',') : ''}">
-                    <h3 style="color: var(--primary-dark); margin-bottom: 0.5rem; font-size: 1.1rem;">${converter.title}</h3>
-                    <p style="margin-bottom: 0.75rem; font-size: 0.85rem; color: var(--text);">
-                        ${converter.description}
-                    </p>
-
-                    <!-- Category Tags -->
-                    ${converter.categories && Array.isArray(converter.categories) ? `
-                    <div class="category-tags">
-                        ${converter.categories.map(cat => `
-                        <span class="category-tag">${getCategoryDisplayName(cat)}</span>
-                        `).join('')}
-                    </div>
-                    ` : ''}
-
-                    <a href="${converter.slug}/" style="
-                        display: inline-block;
-                        margin-top: 1rem;
-                        padding: 0.5rem 1rem;
-                        background: var(--primary);
-                        color: white;
-                        text-decoration: none;
-                        border-radius: 4px;
-                        font-weight: 500;
-                        transition: background 0.3s;
-                        font-size: 0.9rem;
-                    ">Use Converter</a>
-                </div>
-                `).join('')}
-
-                <!-- No Results Message -->
-                <div class="no-results">
-                    <p>No converters found matching your criteria.</p>
-                    <p>Try a different search term or category.</p>
-                </div>
-            </div>
-        </div>
-    </main>
-    ${generateFooter('converters')}
-    <script>${CONVERTER_JS}</script>
-</body>
-</html>
-        `;
+        // Tool pages
+        Object.keys(TOOL_PAGES).filter(isConverterSlug).forEach(slug => {
+            console.warn(`   ⚠️ Skipping tool page "${slug}": a converter already uses that slug`);
+        });
+        for (const tool of getToolPages()) {
+            console.log(`🧰 Generating ${tool.slug} page...`);
+            await writePage(build, path.join('converters', tool.slug, 'index.html'),
+                [tool, getRecipeEngineData(), getToolPans()],
+                () => generateToolPage(tool));
+        }
 
-        await writeFile(
-            path.join(outputDir, 'converters', 'index.html'),
-            convertersIndex
-        );
+        // Shared engine script for the converter widgets
+        await writePage(build, CONVERSION_ENGINE_FILE, [CONVERSION_ENGINE_JS], () => CONVERSION_ENGINE_JS);
 
         // Sitemap
         console.log('🗺️ Generating sitemap.xml...');
-        await writeFile(
-            path.join(outputDir, 'sitemap.xml'),
-            generateSitemap()
-        );
+        const sitemapPages = getSitemapPages();
+        const sitemap = generateSitemap(sitemapPages);
+        await writePage(build, 'sitemap.xml', [sitemap], () => sitemap);
+        // lastmod worked out for a day that has not arrived is not kept
+        if (options.asOf) {
+            console.log(`   ℹ️ Preview build, ${SITEMAP_STATE_PATH} left unchanged`);
+        } else {
+            saveSitemapState(sitemapPages);
+            console.log(`   ✓ Saved lastmod state to ${SITEMAP_STATE_PATH} (commit it with public/)`);
+        }
 
         // Robots.txt
         console.log('🤖 Generating robots.txt...');
-        await writeFile(
-            path.join(outputDir, 'robots.txt'),
-            generateRobotsTxt()
-        );
+        const robots = generateRobotsTxt();
+        await writePage(build, 'robots.txt', [robots], () => robots);
+
+        // Pages from the last build whose source entry is gone
+        if (incremental) {
+            deleteRemovedPages(build);
+        }
+        saveBuildManifest(build);
 
         console.log('\n' + '='.repeat(60));
         console.log('✅ GENERATION COMPLETE WITH BLOG SUPPORT!');
         console.log('='.repeat(60));
         console.log(`📊 Statistics:`);
-        console.log(`   Total pages: ${4 + CONVERTERS.converters.length + (BLOGS.blogs ? BLOGS.blogs.filter(b => b.published !== false).length : 0)}`);
+        console.log(`   Total pages: ${Object.keys(build.manifest.pages).length}`);
         console.log(`   Converters: ${CONVERTERS.converters.length}`);
         console.log(`   Successful: ${CONVERTERS.converters.length - converterErrors.length}`);
         console.log(`   Failed: ${converterErrors.length}`);
-        console.log(`   Blog Posts: ${BLOGS.blogs ? BLOGS.blogs.filter(b => b.published !== false).length : 0}`);
+        console.log(`   Blog Posts: ${getPublishedBlogs().length}`);
         console.log(`   Categories: ${allCategories.length}`);
 
+        if (incremental) {
+            printBuildSummary(build.summary);
+        }
+
+        printScheduledBlogs();
+
         if (converterErrors.length > 0) {
             console.log('\n❌ Failed converters:');
             converterErrors.forEach(err => console.log(`   • ${err.id}`));
@@ -4675,23 +7022,32 @@ async function generateWebsite() {
         console.log(`   ├── index.html`);
         console.log(`   ├── converters/`);
         console.log(`   │   ├── index.html`);
+        console.log(`   │   ├── category/[slug]/index.html`);
+        console.log(`   │   ├── recipe-converter/, recipe-scaler/, pan-size-converter/`);
         console.log(`   │   └── [slug]/index.html`);
         console.log(`   ├── blog/`);
         console.log(`   │   ├── index.html`);
+        console.log(`   │   ├── rss.xml, atom.xml (+ -summary variants)`);
         console.log(`   │   └── [slug]/index.html`);
         console.log(`   ├── about/index.html`);
         console.log(`   ├── contact/index.html`);
         console.log(`   ├── privacy/index.html`);
         console.log(`   ├── terms/index.html`);
+        console.log(`   ├── js/conversion-engine.js`);
         console.log(`   ├── sitemap.xml`);
         console.log(`   └── robots.txt`);
-        console.log('\n🚀 To serve locally:');
-        console.log('   cd public && npx serve');
+        console.log('\n⚡ To rebuild only changed pages:');
+        console.log('   node generate.js --incremental');
+        console.log('\n🚀 To serve locally with live reload:');
+        console.log('   node generate.js --serve');
         console.log('\n📝 To add blog posts:');
         console.log('   1. Edit blogs.json');
         console.log('   2. Run: node generate.js');
         console.log('   3. Blog will appear at /blog/');
+        console.log('   Posts with a future published_date wait for a build on or after that date;');
+        console.log('   preview a day with: node generate.js --as-of YYYY-MM-DD');
         console.log('='.repeat(60));
+        return true;
 
     } catch (error) {
         console.error('❌ Generation failed:', error);
@@ -4724,9 +7080,42 @@ async function generateWebsite() {
                 }
             }
         }
+        return false;
     }
 }
 
+// ==============================
+// PREVIEW SERVER (--serve)
+// ==============================
+
+const DEFAULT_PREVIEW_PORT = 8080;
+const WATCHED_FILES = ['config.json', 'converters.json', 'content.json', 'blogs.json', 'pans.json',
+    'units.json', 'ingredients.json'];
+
+// Builds incrementally, then serves the output (preview/ with --as-of,
+// public/ otherwise) with live reload and rebuilds whenever one of the JSON
+// sources changes. Edits to generate.js itself need a restart.
+async function serveWebsite(port = DEFAULT_PREVIEW_PORT, asOf) {
+    await generateWebsite({ incremental: true, asOf });
+
+    DevServer.startDevServer({
+        rootDir: asOf ? PREVIEW_DIR : OUTPUT_DIR,
+        port,
+        watchDir: '.',
+        files: WATCHED_FILES,
+        rebuild: async () => {
+            try {
+                loadSiteData();
+            } catch (error) {
+                console.error('❌ Error loading JSON files:', error.message);
+                console.error('   Keeping the previous build; fix the file and save again');
+                return false;
+            }
+            return generateWebsite({ incremental: true, asOf });
+        }
+    });
+}
+
 // Helper function for async file writing
 function writeFile(path, content) {
     return new Promise((resolve, reject) => {
@@ -4741,8 +7130,37 @@ function writeFile(path, content) {
 // RUN GENERATOR
 // ==============================
 
+// Value of --name value (or --name=value); undefined when the flag is absent
+function getFlagValue(args, name) {
+    const index = args.findIndex(arg => arg === name || arg.startsWith(name + '='));
+    if (index === -1) return undefined;
+    return args[index] === name ? args[index + 1] : args[index].slice(name.length + 1);
+}
+
 if (require.main === module) {
-    generateWebsite();
+    const args = process.argv.slice(2);
+
+    // --as-of 2026-03-01 builds as if it were that day (scheduled posts) into ./preview
+    const asOf = getFlagValue(args, '--as-of');
+    if (asOf !== undefined && !isValidDate(asOf)) {
+        console.error('--as-of needs a date, e.g. --as-of 2026-03-01');
+        process.exit(1);
+    }
+
+    if (args.includes('--serve')) {
+        // --port 8080 (or --port=8080)
+        const portValue = getFlagValue(args, '--port');
+        const port = portValue === undefined ? DEFAULT_PREVIEW_PORT : Number(portValue);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            console.error('--port needs a port number, e.g. --port 8080');
+            process.exit(1);
+        }
+        serveWebsite(port, asOf);
+    } else {
+        generateWebsite({ incremental: args.includes('--incremental'), asOf }).then(success => {
+            if (!success) process.exitCode = 1;
+        });
+    }
 }
 
 module.exports = { generateWebsite };
\ No newline at end of file
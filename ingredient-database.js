@@ -0,0 +1,136 @@
+// ingredient-database.js
+// Ingredient densities loaded from ingredients.json. Each ingredient has an id,
+// a display name, aliases, a density in grams per millilitre and the source
+// the density was taken from.
+//
+// Any converter whose units span both mass and volume (according to the unit
+// registry) gets the full ingredient list through attachIngredientData(); the
+// conversion engine then derives every volume↔weight conversion from the
+// density; hand-written ingredientFormulas for those ingredients are ignored.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, 'ingredients.json');
+
+let DATABASE = null;
+
+function normalizeIngredientName(name) {
+    return String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function loadIngredientDatabase(filePath = DEFAULT_DATABASE_PATH) {
+    const data = fs.existsSync(filePath)
+        ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+        : { ingredients: [] };
+
+    const byName = new Map();
+    const ingredients = (data.ingredients || []).map(ingredient => {
+        if (!ingredient.id || !ingredient.name) {
+            throw new Error(`Invalid ingredient in ${path.basename(filePath)}: every ingredient needs "id" and "name"`);
+        }
+        if (typeof ingredient.density !== 'number' || !(ingredient.density > 0)) {
+            throw new Error(`Ingredient "${ingredient.id}" needs a positive "density" in g/ml`);
+        }
+        return ingredient;
+    });
+
+    ingredients.forEach(ingredient => {
+        [ingredient.id, ingredient.name, ...(ingredient.aliases || [])].forEach(name => {
+            const key = normalizeIngredientName(name);
+            const existing = byName.get(key);
+            if (existing && existing !== ingredient) {
+                throw new Error(`Ingredient name "${name}" is used by both "${existing.id}" and "${ingredient.id}"`);
+            }
+            byName.set(key, ingredient);
+        });
+    });
+
+    DATABASE = { ingredients, byName };
+    return DATABASE;
+}
+
+function getDatabase() {
+    return DATABASE || loadIngredientDatabase();
+}
+
+function getIngredients() {
+    return getDatabase().ingredients;
+}
+
+// Look an ingredient up by id, name or alias (case and whitespace insensitive)
+function resolveIngredient(name) {
+    if (name === undefined || name === null) return null;
+    return getDatabase().byName.get(normalizeIngredientName(name)) || null;
+}
+
+// True when the converter has at least one mass and one volume unit with a canonical factor
+function needsIngredients(converter) {
+    const definitions = Object.values(converter.unitDefinitions || {})
+        .filter(definition => typeof definition.factor === 'number');
+
+    return definitions.some(definition => definition.dimension === 'mass') &&
+        definitions.some(definition => definition.dimension === 'volume');
+}
+
+// ingredientFormulas entries whose ingredient is not in the database
+function findUnknownIngredients(converter) {
+    return (Array.isArray(converter.ingredientFormulas) ? converter.ingredientFormulas : [])
+        .map(entry => entry && entry.ingredient)
+        .filter((name, index, names) => name && !resolveIngredient(name) && names.indexOf(name) === index);
+}
+
+// ingredientFormulas entries for ingredients the database already has a density for
+function findDatabaseFormulas(converter) {
+    if (!needsIngredients(converter)) return [];
+    return (Array.isArray(converter.ingredientFormulas) ? converter.ingredientFormulas : [])
+        .map(entry => entry && resolveIngredient(entry.ingredient))
+        .filter((ingredient, index, list) => ingredient && list.indexOf(ingredient) === index)
+        .map(ingredient => ingredient.name);
+}
+
+// Requires unitDefinitions (see unit-registry.js). Adds ingredientDensities
+// keyed by ingredient id and rewrites ingredientFormulas to use the same ids.
+// The density is the single source for database ingredients, so their
+// formulas are dropped; formulas only survive for ingredients the database
+// does not know, or on converters without both mass and volume units.
+function attachIngredientData(converter) {
+    const hasFormulas = Array.isArray(converter.ingredientFormulas) && converter.ingredientFormulas.length > 0;
+    if (!needsIngredients(converter) && !hasFormulas) return converter;
+
+    const ingredientDensities = {};
+    if (needsIngredients(converter)) {
+        getIngredients().forEach(ingredient => {
+            ingredientDensities[ingredient.id] = { name: ingredient.name, density: ingredient.density };
+        });
+    }
+
+    const result = Object.assign({}, converter, { ingredientDensities });
+    if (hasFormulas) {
+        result.ingredientFormulas = [];
+        converter.ingredientFormulas.forEach(entry => {
+            const ingredient = entry && resolveIngredient(entry.ingredient);
+            if (!ingredient) {
+                result.ingredientFormulas.push(entry);
+                return;
+            }
+            if (ingredientDensities[ingredient.id] && ingredientDensities[ingredient.id].density !== null) return;
+
+            if (!ingredientDensities[ingredient.id]) {
+                ingredientDensities[ingredient.id] = { name: ingredient.name, density: null };
+            }
+            result.ingredientFormulas.push(Object.assign({}, entry, { ingredient: ingredient.id }));
+        });
+    }
+
+    return result;
+}
+
+module.exports = {
+    loadIngredientDatabase,
+    getIngredients,
+    resolveIngredient,
+    needsIngredients,
+    findUnknownIngredients,
+    findDatabaseFormulas,
+    attachIngredientData
+};
@@ -1,6 +1,9 @@
 // strict-validate-converters.js (REALISTIC - MATCHING ACTUAL STRUCTURE)
 const fs = require('fs');
 const path = require('path');
+const ConversionEngine = require('./conversion-engine');
+const UnitRegistry = require('./unit-registry');
+const IngredientDatabase = require('./ingredient-database');
 
 // Define realistic structure requirements based on ACTUAL JSON
 const SECTION_STRUCTURES = {
@@ -126,6 +129,98 @@ const SECTION_STRUCTURES = {
     }
   },
 
+  conversionTable: {
+    requiredKeys: ['title', 'columns', 'rows'],
+    optionalKeys: ['description'],
+    exactKeys: ['title', 'description', 'columns', 'rows'],
+    columns: {
+      type: 'array',
+      minItems: 2
+    },
+    rows: {
+      type: 'array',
+      minItems: 5
+    },
+    validate: (sectionData, sectionName, errors) => {
+      const columns = Array.isArray(sectionData.columns) ? sectionData.columns : null;
+      if (!columns || !Array.isArray(sectionData.rows)) return;
+
+      // Every row needs one value per column; cells are matched by name or position
+      sectionData.rows.forEach((row, index) => {
+        if (typeof row !== 'object' || row === null || Array.isArray(row)) {
+          errors.push(`${sectionName}.rows[${index}] must be an object`);
+          return;
+        }
+
+        const values = Object.values(row);
+        if (values.length !== columns.length) {
+          errors.push(`${sectionName}.rows[${index}] has ${values.length} values but there are ${columns.length} columns`);
+        }
+        values.forEach(value => {
+          if (typeof value !== 'string' && typeof value !== 'number') {
+            errors.push(`${sectionName}.rows[${index}] values must be strings or numbers`);
+          }
+        });
+      });
+    },
+    example: {
+      "conversionTable": {
+        "title": "Conversion Table",
+        "description": "Optional description",
+        "columns": ["Gas Mark", "°F", "°C"],
+        "rows": [
+          {"Gas Mark": 4, "°F": 350, "°C": 180}
+        ]
+      }
+    }
+  },
+
+  generatedTable: {
+    requiredKeys: ['title', 'from', 'to', 'values'],
+    optionalKeys: ['description', 'ingredients'],
+    exactKeys: ['title', 'description', 'from', 'to', 'values', 'ingredients'],
+    values: {
+      type: 'array',
+      minItems: 3
+    },
+    validate: (sectionData, sectionName, errors) => {
+      if (!Array.isArray(sectionData.values)) {
+        errors.push(`"${sectionName}.values" must be an array`);
+      } else {
+        if (sectionData.values.length < 3) {
+          errors.push(`"${sectionName}.values" must have at least 3 items (has ${sectionData.values.length})`);
+        }
+        sectionData.values.forEach((value, index) => {
+          if (ConversionEngine.parseQuantity(value) === null) {
+            errors.push(`${sectionName}.values[${index}] "${value}" is not a number or fraction (e.g. 2, 0.5, ½, 1 ⅓, 3/4)`);
+          }
+        });
+      }
+
+      if (sectionData.ingredients !== undefined) {
+        if (!Array.isArray(sectionData.ingredients)) {
+          errors.push(`"${sectionName}.ingredients" must be an array`);
+        } else {
+          sectionData.ingredients.forEach(name => {
+            if (!IngredientDatabase.resolveIngredient(name)) {
+              errors.push(`${sectionName}.ingredients: "${name}" is not defined in ingredients.json`);
+            }
+          });
+        }
+      }
+    },
+    example: {
+      "generatedTable": {
+        "title": "Cups to Grams Chart",
+        "description": "Optional description",
+        "from": "cup",
+        "to": "gram",
+        "values": ["¼", "⅓", "½", "1"],
+        "ingredients": ["flour", "sugar"]
+      }
+    }
+  },
+
   visualChart: {
     requiredKeys: ['title'],
     optionalKeys: ['description', 'items'],
@@ -448,10 +543,101 @@ const SECTION_STRUCTURES = {
   }
 };
 
+// Numbers typed into quickReference, comparisonTable and conversionTable are
+// recomputed with the converter's own data; a claim further than this
+// fraction away from the engine's answer is reported
+const DEFAULT_TOLERANCE = 0.02;
+
+// Cross-check mismatches that are intended (conventional oven chart values,
+// rows that compare different quantities) are listed per converter and row,
+// with the reason, in cross-check-exceptions.json
+const DEFAULT_EXCEPTIONS_PATH = path.join(__dirname, 'cross-check-exceptions.json');
+
+function loadCrossCheckExceptions(filePath = DEFAULT_EXCEPTIONS_PATH) {
+  if (!fs.existsSync(filePath)) return {};
+  const exceptions = JSON.parse(fs.readFileSync(filePath, 'utf8')).exceptions || {};
+
+  Object.entries(exceptions).forEach(([id, rows]) => {
+    Object.entries(rows || {}).forEach(([where, reason]) => {
+      if (typeof reason !== 'string' || !reason.trim()) {
+        throw new Error(`${path.basename(filePath)}: "${id}" ${where} needs the reason the mismatch is allowed`);
+      }
+    });
+  });
+  return exceptions;
+}
+
+// Matrix entries are rounded by hand, so only report reciprocity and
+// transitivity deviations above 0.01%
+const MATRIX_DEVIATION_THRESHOLD = 0.0001;
+
+function formatDeviation(deviation) {
+  return `${Number((deviation * 100).toPrecision(2))}% off`;
+}
+
+const NUMBER_FIRST_CLAIM = /^(\d+\s+\d+\s*\/\s*\d+|\d+\s*\/\s*\d+|\d*\s*[¼½¾⅓⅔⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞]|\d+(?:\.\d+)?)\s*(.*)$/;
+const UNIT_FIRST_CLAIM = /^(.*?)\s*(\d+(?:\.\d+)?)$/;
+
+// "gasMark" → "gas mark", "°F" stays "°F"
+function labelToUnitText(label) {
+  return String(label).replace(/([a-z])([A-Z])/g, '$1 $2').trim();
+}
+
+// The converter's own label for a unit written in content, or null
+function converterUnitFor(text, engineData) {
+  if (!text) return null;
+  const normalized = labelToUnitText(text).toLowerCase();
+  const labels = Object.keys(engineData.unitDefinitions || {});
+
+  const exact = labels.find(label => label.toLowerCase() === normalized);
+  if (exact) return exact;
+
+  // Column keys are often plural ("imperialCups")
+  const unit = UnitRegistry.resolveUnit(normalized) || UnitRegistry.resolveUnit(normalized.replace(/s$/, ''));
+  if (!unit) return null;
+  return labels.find(label => engineData.unitDefinitions[label].id === unit.id) || null;
+}
+
+// Read one cell as { value, label } (e.g. 180, "180°C", "Gas Mark 4", "4.227 cups")
+// or as { label } when the cell only names a unit ("US cup")
+function parseClaim(cell, defaultLabel, engineData) {
+  if (typeof cell === 'number') {
+    return defaultLabel && isFinite(cell) ? { value: cell, label: defaultLabel } : null;
+  }
+  if (typeof cell !== 'string') return null;
+
+  const text = cell.trim();
+  const numberFirst = text.match(NUMBER_FIRST_CLAIM);
+  if (numberFirst) {
+    const value = ConversionEngine.parseQuantity(numberFirst[1].replace(/\s*\/\s*/, '/'));
+    let label = numberFirst[2] ? converterUnitFor(numberFirst[2], engineData) : defaultLabel;
+    // The column ("imperialCups") is more specific than the unit word the cell repeats ("3.52 cups")
+    if (label && defaultLabel && defaultLabel.toLowerCase().includes(numberFirst[2].toLowerCase().replace(/s$/, ''))) {
+      label = defaultLabel;
+    }
+    return value !== null && label ? { value, label } : null;
+  }
+
+  const unitFirst = text.match(UNIT_FIRST_CLAIM);
+  if (unitFirst && unitFirst[1]) {
+    const label = converterUnitFor(unitFirst[1], engineData);
+    if (label) return { value: Number(unitFirst[2]), label };
+  }
+
+  const label = converterUnitFor(text, engineData);
+  return label ? { label } : null;
+}
+
 class RealisticConverterValidator {
-  constructor() {
+  constructor(options = {}) {
     this.errors = [];
     this.warnings = [];
+    this.mismatches = [];
+    this.allowedMismatches = 0;
+    this.exceptions = options.exceptions || loadCrossCheckExceptions();
+    this.usedExceptions = new Set();
+    this.matrixFindings = [];
+    this.tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_TOLERANCE;
     this.failedIds = [];
     this.wordCounts = {};
 
@@ -477,7 +663,8 @@ class RealisticConverterValidator {
     this.TOP_LEVEL_OPTIONAL_KEYS = [
       'conversions',
       'conversionFormulas',  // Optional - can use conversions instead
-      'ingredientFormulas'   // Optional
+      'ingredientFormulas',  // Optional
+      'unitAliases'          // Optional - pins a unit label to a units.json id
     ];
 
     this.ALL_TOP_LEVEL_KEYS = [...this.TOP_LEVEL_REQUIRED_KEYS, ...this.TOP_LEVEL_OPTIONAL_KEYS];
@@ -505,6 +692,7 @@ class RealisticConverterValidator {
       }
     });
 
+    this.reportUnusedExceptions(converters);
     this.printSummary();
 
     return {
@@ -568,6 +756,11 @@ class RealisticConverterValidator {
         console.log(`   ${'─'.repeat(50)}`);
       }
 
+      if (problematicSections.has('conversionTable')) {
+        console.log(`   ℹ️  CONVERSION TABLE: Need title, columns and at least 5 rows with one value per column`);
+        console.log(`   ${'─'.repeat(50)}`);
+      }
+
       if (problematicSections.has('tips') || problematicSections.has('related')) {
         console.log(`   ℹ️  TIPS/RELATED: Need either "tips"/"links" or "items" (or both)`);
         console.log(`   ${'─'.repeat(50)}`);
@@ -577,6 +770,8 @@ class RealisticConverterValidator {
 
   validateSingleConverter(converter) {
     const errors = [];
+    // Conversion checks run on the same registry-enriched data the generator embeds
+    const engineData = IngredientDatabase.attachIngredientData(UnitRegistry.attachUnitDefinitions(converter));
 
     // 1. Check REQUIRED top-level keys exist
     this.TOP_LEVEL_REQUIRED_KEYS.forEach(key => {
@@ -597,10 +792,31 @@ class RealisticConverterValidator {
     const hasConversions = converter.conversions && typeof converter.conversions === 'object';
     const hasConversionFormulas = converter.conversionFormulas && Array.isArray(converter.conversionFormulas);
 
-    if (!hasConversions && !hasConversionFormulas) {
+    // Units that units.json links together need no hand-written conversion data
+    const units = Array.isArray(converter.supportedUnits) ? converter.supportedUnits : [];
+    const registryConnected = units.length > 1 && units.every(unit => ConversionEngine.canConvert(engineData, units[0], unit));
+
+    if (!hasConversions && !hasConversionFormulas && !registryConnected) {
       errors.push('Must have either "conversions" object or "conversionFormulas" array');
     }
 
+    if (converter.unitAliases !== undefined &&
+        (typeof converter.unitAliases !== 'object' || Array.isArray(converter.unitAliases))) {
+      errors.push('"unitAliases" must be an object mapping unit labels to units.json ids');
+    }
+
+    UnitRegistry.findUnknownUnits(converter).forEach(unit => {
+      this.warnings.push(`${converter.id}: Unit "${unit}" is not defined in units.json`);
+    });
+
+    IngredientDatabase.findUnknownIngredients(converter).forEach(name => {
+      this.warnings.push(`${converter.id}: Ingredient "${name}" in ingredientFormulas is not defined in ingredients.json`);
+    });
+
+    IngredientDatabase.findDatabaseFormulas(UnitRegistry.attachUnitDefinitions(converter)).forEach(name => {
+      this.warnings.push(`${converter.id}: ingredientFormulas for "${name}" are ignored, its density in ingredients.json is used`);
+    });
+
     if (hasConversions && hasConversionFormulas) {
       this.warnings.push(`${converter.id}: Has both "conversions" and "conversionFormulas" - using "conversions"`);
     }
@@ -634,6 +850,16 @@ class RealisticConverterValidator {
       errors.push('"faqs" must be an array');
     }
 
+    // 4b. Formulas must only use the whitelisted expression syntax
+    ConversionEngine.validateFormulas(converter).forEach(problem => {
+      errors.push(`Invalid formula in "${problem.list}[${problem.index}]" (${converter.id}): ${problem.message}`);
+    });
+
+    // 4c. One-way formulas must be invertible for the reverse direction
+    ConversionEngine.findNonInvertibleFormulas(converter).forEach(problem => {
+      this.warnings.push(`${converter.id}: conversionFormulas[${problem.index}] ${problem.message}`);
+    });
+
     // 5. Check featured is boolean
     if (converter.featured !== undefined && typeof converter.featured !== 'boolean') {
       errors.push('"featured" must be a boolean');
@@ -671,6 +897,26 @@ class RealisticConverterValidator {
       });
     }
 
+    // 7b. Generated tables must be computable with this converter's own data
+    const generatedTable = converter.contentSections && converter.contentSections.generatedTable;
+    if (generatedTable && generatedTable.from && generatedTable.to) {
+      const units = Array.isArray(converter.supportedUnits) ? converter.supportedUnits : [];
+      [generatedTable.from, generatedTable.to].forEach(unit => {
+        if (!units.includes(unit)) {
+          errors.push(`generatedTable unit "${unit}" is not in supportedUnits`);
+        }
+      });
+
+      const ingredients = Array.isArray(generatedTable.ingredients)
+        ? generatedTable.ingredients.map(name => IngredientDatabase.resolveIngredient(name)).filter(Boolean).map(ingredient => ingredient.id)
+        : [null];
+      ingredients.forEach(ingredient => {
+        if (ConversionEngine.resolve(engineData, 1, generatedTable.from, generatedTable.to, { ingredient }) === null) {
+          errors.push(`generatedTable cannot convert "${generatedTable.from}" → "${generatedTable.to}"${ingredient ? ` for ${ingredient}` : ''}`);
+        }
+      });
+    }
+
     // 8. Defaults validation
     if (!converter.defaults) {
       errors.push('Missing required field: "defaults"');
@@ -683,6 +929,13 @@ class RealisticConverterValidator {
           errors.push(`"defaults.${key}" is required`);
         }
       });
+
+      // The default pair must resolve through the same engine the widget uses
+      const { value, from, to } = converter.defaults;
+      if (from !== undefined && to !== undefined &&
+          ConversionEngine.convert(engineData, value === undefined ? 1 : value, from, to) === null) {
+        this.warnings.push(`${converter.id}: Default conversion "${from}" → "${to}" is not available`);
+      }
     }
 
     // 9. SupportedUnits validation
@@ -700,7 +953,20 @@ class RealisticConverterValidator {
       this.validateTopLevelFAQs(converter.faqs, errors);
     }
 
-    // 11. Check word count (1000 words minimum)
+    // 11. Recompute numbers typed into content with the converter's own data;
+    // a mismatch fails the converter unless cross-check-exceptions.json allows it
+    const exceptions = this.exceptions[converter.id] || {};
+    this.crossCheckNumbers(converter, engineData).forEach(({ where, message }) => {
+      if (exceptions[where] !== undefined) {
+        this.usedExceptions.add(`${converter.id} ${where}`);
+        this.allowedMismatches++;
+        return;
+      }
+      this.mismatches.push(`${converter.id}: ${message}`);
+      errors.push(`Number cross-check: ${message}`);
+    });
+
+    // 12. Check word count (1000 words minimum)
     const wordCount = this.calculateWordCount(converter);
     this.wordCounts[converter.id] = wordCount;
 
@@ -711,6 +977,108 @@ class RealisticConverterValidator {
     return errors;
   }
 
+  // Each row (quickReference item, comparisonTable or conversionTable row)
+  // is a set of claims about the same quantity. The first claim is taken as
+  // the input and every other claim must match the engine within tolerance.
+  crossCheckNumbers(converter, engineData) {
+    const sections = converter.contentSections || {};
+    const rows = [];
+
+    if (sections.quickReference && Array.isArray(sections.quickReference.items)) {
+      sections.quickReference.items.forEach((item, index) => {
+        if (!item || typeof item !== 'object') return;
+        const cells = Object.keys(item)
+          .filter(key => key !== 'icon' && key !== 'tip')
+          .map(key => ({ cell: item[key], label: key === 'ingredient' ? null : converterUnitFor(key, engineData) }));
+        rows.push({ where: `quickReference.items[${index}]`, cells, ingredient: item.ingredient });
+      });
+    }
+
+    ['comparisonTable', 'conversionTable'].forEach(sectionName => {
+      const section = sections[sectionName];
+      if (!section || !Array.isArray(section.rows)) return;
+      const columns = Array.isArray(section.columns) ? section.columns : [];
+
+      section.rows.forEach((row, index) => {
+        if (!row || typeof row !== 'object') return;
+        const cells = Object.keys(row).map((key, position) => ({
+          cell: row[key],
+          label: converterUnitFor(key, engineData) || converterUnitFor(columns[position], engineData)
+        }));
+        rows.push({ where: `${sectionName}.rows[${index}]`, cells, ingredient: Object.values(row)[0] });
+      });
+    });
+
+    const mismatches = [];
+    rows.forEach(({ where, cells, ingredient }) => {
+      const claims = [];
+      const hints = [];
+
+      cells.forEach(({ cell, label }) => {
+        const claim = parseClaim(cell, label, engineData);
+        if (!claim) return;
+        if (claim.value === undefined) hints.push(claim.label);
+        else claims.push(claim);
+      });
+      if (claims.length < 2) return;
+
+      // A cell that only names a unit ("Imperial cup") pins the unit of the
+      // claim it describes ("3.52 cups"): the last one of the same dimension
+      const dimensionOf = (label) => engineData.unitDefinitions[label].dimension;
+      hints.forEach(hint => {
+        const target = claims.slice(1).reverse().find(claim => dimensionOf(claim.label) === dimensionOf(hint));
+        if (target) target.label = hint;
+      });
+
+      const resolved = IngredientDatabase.resolveIngredient(ingredient);
+      const options = { ingredient: resolved ? resolved.id : null };
+      const base = claims[0];
+
+      claims.slice(1).forEach(claim => {
+        if (claim.label === base.label) return;
+        // Weight↔volume claims are only comparable for a known ingredient
+        if (dimensionOf(claim.label) !== dimensionOf(base.label) && !options.ingredient) return;
+        const expected = ConversionEngine.resolve(engineData, base.value, base.label, claim.label, options);
+        if (!expected) return;
+
+        if (!this.withinTolerance(claim.value, expected)) {
+          const answer = expected.range
+            ? `${expected.range.min}–${expected.range.max}`
+            : `${Math.round(expected.value * 1000) / 1000}`;
+          mismatches.push({
+            where,
+            message: `${where} says ${base.value} ${base.label} = ${claim.value} ${claim.label}, converter gives ${answer}`
+          });
+        }
+      });
+    });
+
+    return mismatches;
+  }
+
+  // Exceptions whose row no longer mismatches (or whose converter is gone) are stale
+  reportUnusedExceptions(converters) {
+    const ids = new Set(converters.map(converter => converter.id));
+    Object.entries(this.exceptions).forEach(([id, rows]) => {
+      Object.keys(rows || {}).forEach(where => {
+        if (!ids.has(id)) {
+          this.warnings.push(`cross-check-exceptions.json: "${id}" is not a converter id`);
+        } else if (!this.usedExceptions.has(`${id} ${where}`)) {
+          this.warnings.push(`cross-check-exceptions.json: ${id} ${where} no longer mismatches, remove the exception`);
+        }
+      });
+    });
+  }
+
+  withinTolerance(actual, expected) {
+    if (expected.range) {
+      const { min, max } = expected.range;
+      return actual >= min - this.tolerance * Math.max(Math.abs(min), 1) &&
+        actual <= max + this.tolerance * Math.max(Math.abs(max), 1);
+    }
+    return Math.abs(actual - expected.value) <= this.tolerance * Math.max(Math.abs(expected.value), 1);
+  }
+
   calculateWordCount(converter) {
     let totalWords = 0;
 
@@ -789,6 +1157,77 @@ class RealisticConverterValidator {
         errors.push(`Self-conversion for "${unit}" must be 1 (got: ${conversions[unit][unit]})`);
       }
     });
+
+    // Rows for units the widget never offers are dead data
+    Object.keys(conversions).forEach(unit => {
+      if (!supportedUnits.includes(unit)) {
+        this.warnings.push(`${converter.id}: conversions has a row for "${unit}" which is not in supportedUnits`);
+      }
+    });
+
+    this.checkMatrixConsistency(converter);
+  }
+
+  // Reciprocity: conversions[a][b] * conversions[b][a] should be 1.
+  // Transitivity: conversions[a][c] should equal conversions[a][b] * conversions[b][c].
+  // Deviations are relative; the worst pairs are listed per converter and in the summary.
+  checkMatrixConsistency(converter) {
+    const conversions = converter.conversions || {};
+    const units = (converter.supportedUnits || []).filter(unit => conversions[unit]);
+    const factor = (a, b) => {
+      const value = conversions[a] && conversions[a][b];
+      return typeof value === 'number' && isFinite(value) && value !== 0 ? value : null;
+    };
+    const findings = [];
+
+    units.forEach((a, i) => {
+      units.slice(i + 1).forEach(b => {
+        const ab = factor(a, b);
+        const ba = factor(b, a);
+        if (ab === null || ba === null) return;
+
+        const deviation = Math.abs(ab * ba - 1);
+        if (deviation > MATRIX_DEVIATION_THRESHOLD) {
+          findings.push({ check: 'reciprocity', deviation,
+            detail: `"${a}" ↔ "${b}": ${ab} × ${ba} = ${Number((ab * ba).toPrecision(6))}` });
+        }
+      });
+    });
+
+    units.forEach(a => {
+      units.forEach(c => {
+        if (a === c) return;
+        const ac = factor(a, c);
+        if (ac === null) return;
+
+        // Report only the worst intermediate unit for each pair
+        let worst = null;
+        units.forEach(b => {
+          if (b === a || b === c) return;
+          const ab = factor(a, b);
+          const bc = factor(b, c);
+          if (ab === null || bc === null) return;
+
+          const deviation = Math.abs((ab * bc) / ac - 1);
+          if (deviation > MATRIX_DEVIATION_THRESHOLD && (!worst || deviation > worst.deviation)) {
+            worst = { check: 'transitivity', deviation,
+              detail: `"${a}" → "${c}" is ${ac} directly but ${Number((ab * bc).toPrecision(6))} via "${b}"` };
+          }
+        });
+        if (worst) findings.push(worst);
+      });
+    });
+
+    findings.sort((x, y) => y.deviation - x.deviation);
+    findings.forEach(finding => this.matrixFindings.push(Object.assign({ id: converter.id }, finding)));
+
+    ['reciprocity', 'transitivity'].forEach(check => {
+      const ofCheck = findings.filter(finding => finding.check === check);
+      if (ofCheck.length === 0) return;
+
+      const worst = ofCheck.slice(0, 3).map(finding => `${finding.detail} (${formatDeviation(finding.deviation)})`).join('; ');
+      this.warnings.push(`${converter.id}: ${ofCheck.length} ${check} issue(s) in conversions, worst: ${worst}`);
+    });
   }
 
   validateTopLevelFAQs(faqsArray, errors) {
@@ -1029,6 +1468,22 @@ class RealisticConverterValidator {
       console.log(`   ${status} ${id}: ${count} words ${count < 1000 ? `(NEEDS ${1000 - count} MORE)` : ''}`);
     });
 
+    if (this.matrixFindings.length > 0) {
+      const worst = this.matrixFindings.slice().sort((a, b) => b.deviation - a.deviation).slice(0, 10);
+      console.log(`\n🧮 MATRIX CONSISTENCY: ${this.matrixFindings.length} issue(s), worst pairs:`);
+      console.log('-' .repeat(40));
+      worst.forEach(finding => console.log(`   • ${finding.id} [${finding.check}] ${finding.detail} (${formatDeviation(finding.deviation)})`));
+    }
+
+    if (this.mismatches.length > 0) {
+      console.log(`\n🔢 NUMBER CROSS-CHECK (tolerance ${this.tolerance * 100}%):`);
+      console.log('-' .repeat(40));
+      this.mismatches.forEach(mismatch => console.log(`   • ${mismatch}`));
+    }
+    if (this.allowedMismatches > 0) {
+      console.log(`\n🔢 ${this.allowedMismatches} cross-check mismatch(es) allowed by cross-check-exceptions.json`);
+    }
+
     if (this.warnings.length > 0) {
       console.log('\n⚠️  Warnings:');
       this.warnings.forEach(warning => console.log(`   • ${warning}`));
@@ -1043,7 +1498,7 @@ class RealisticConverterValidator {
   }
 }
 
-function validateConvertersFileStrict(filePath) {
+function validateConvertersFileStrict(filePath, options = {}) {
   try {
     console.log(`📂 Reading file: ${filePath}`);
     const content = fs.readFileSync(filePath, 'utf8');
@@ -1056,7 +1511,7 @@ function validateConvertersFileStrict(filePath) {
 
     console.log(`📊 Found ${data.converters.length} converter(s) in file\n`);
 
-    const validator = new RealisticConverterValidator();
+    const validator = new RealisticConverterValidator(options);
     return validator.validateConverters(data.converters);
 
   } catch (error) {
@@ -1068,8 +1523,23 @@ function validateConvertersFileStrict(filePath) {
 if (require.main === module) {
   const args = process.argv.slice(2);
 
+  // --tolerance 0.05 (or --tolerance=0.05): allowed relative difference for the number cross-check
+  const options = {};
+  const toleranceIndex = args.findIndex(arg => arg.startsWith('--tolerance'));
+  if (toleranceIndex !== -1) {
+    const [flag, inline] = args[toleranceIndex].split('=');
+    const raw = inline !== undefined ? inline : args[toleranceIndex + 1];
+    const tolerance = Number(raw);
+    if (flag !== '--tolerance' || raw === undefined || isNaN(tolerance) || tolerance < 0) {
+      console.error('--tolerance needs a non-negative number, e.g. --tolerance 0.05 for 5%');
+      process.exit(1);
+    }
+    options.tolerance = tolerance;
+    args.splice(toleranceIndex, inline !== undefined ? 1 : 2);
+  }
+
   if (args.length < 1) {
-    console.log('Usage: node strict-validate-converters.js <path-to-converters.json>');
+    console.log('Usage: node strict-validate-converters.js <path-to-converters.json> [--tolerance <fraction>]');
     console.log('Example: node strict-validate-converters.js ./data/converters.json');
     console.log('\nREALISTIC VALIDATION RULES:');
     console.log('  • Required top-level keys: id, slug, title, description, keywords, categories');
@@ -1080,8 +1550,15 @@ if (require.main === module) {
     console.log('  • contentSequence must include "hero"');
     console.log('  • quickReference: items need "ingredient" + at least one value');
     console.log('  • comparisonTable: need at least 8 rows if present');
+    console.log('  • conversionTable: title, columns and 5+ rows with one value per column');
+    console.log('  • generatedTable: title, from, to and 3+ values; computed at build time');
     console.log('  • tips/related: need either tips/links or items (or both)');
+    console.log('  • conversions: a row per supported unit, 1 on the diagonal; reciprocity and');
+    console.log('    transitivity deviations are reported with the worst pairs');
     console.log('  • Minimum 1000 words of content');
+    console.log('  • Numbers in quickReference, comparisonTable and conversionTable are recomputed');
+    console.log('    with the converter\'s own data (--tolerance <fraction>, default 0.02); a mismatch fails');
+    console.log('    the converter unless cross-check-exceptions.json lists its row with a reason');
     console.log('\nExits with code 1 if validation fails.');
     process.exit(1);
   }
@@ -1093,7 +1570,7 @@ if (require.main === module) {
     process.exit(1);
   }
 
-  validateConvertersFileStrict(filePath);
+  validateConvertersFileStrict(filePath, options);
 }
 
 module.exports = { RealisticConverterValidator, validateConvertersFileStrict };
\ No newline at end of file
@@ -0,0 +1,177 @@
+// unit-registry.js
+// Global unit registry loaded from units.json. Every unit has an id, aliases,
+// a dimension (mass/volume/temperature/time/length), a system (US/imperial/metric)
+// and a canonical factor (plus an optional offset for temperatures), where
+//   value in the dimension's base unit = value * factor + offset
+//
+// Converters keep their own unit labels in supportedUnits; the generator calls
+// attachUnitDefinitions() so the conversion engine can derive every
+// same-dimension conversion from the registry instead of a hand-written matrix.
+//
+// caseSensitiveAliases are recipe shorthand such as "T" (tablespoon) and "t"
+// (teaspoon), which only mean a unit in their exact case; they are used for
+// free-form recipe lines, never for converter unit labels. "ingredients"
+// limits a unit to the ingredients it describes (a stick is butter).
+//
+// units.json also lists measuring sets: the cups and spoons sold in a region,
+// each tool given as an amount of a registry volume unit. attachMeasuringSets()
+// hands them to converters with volume units so results can be split into tools.
+const fs = require('fs');
+const path = require('path');
+const ConversionEngine = require('./conversion-engine');
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, 'units.json');
+
+let REGISTRY = null;
+
+function normalizeUnitName(name) {
+    return String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function loadUnitRegistry(filePath = DEFAULT_REGISTRY_PATH) {
+    const data = fs.existsSync(filePath)
+        ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+        : { dimensions: {}, units: [] };
+
+    const byName = new Map();
+    const units = (data.units || []).map(unit => {
+        if (!unit.id || !unit.dimension) {
+            throw new Error(`Invalid unit in ${path.basename(filePath)}: every unit needs "id" and "dimension"`);
+        }
+        if (data.dimensions && !data.dimensions[unit.dimension]) {
+            throw new Error(`Unit "${unit.id}" uses unknown dimension "${unit.dimension}"`);
+        }
+        return unit;
+    });
+
+    units.forEach(unit => {
+        [unit.id, ...(unit.aliases || [])].forEach(name => {
+            const key = normalizeUnitName(name);
+            const existing = byName.get(key);
+            if (existing && existing !== unit) {
+                throw new Error(`Unit name "${name}" is used by both "${existing.id}" and "${unit.id}"`);
+            }
+            byName.set(key, unit);
+        });
+    });
+
+    const bySymbol = new Map();
+    units.forEach(unit => {
+        (unit.caseSensitiveAliases || []).forEach(name => {
+            const existing = bySymbol.get(name);
+            if (existing && existing !== unit) {
+                throw new Error(`Unit name "${name}" is used by both "${existing.id}" and "${unit.id}"`);
+            }
+            bySymbol.set(name, unit);
+        });
+    });
+
+    const measuringSets = (data.measuringSets || []).map(set => {
+        if (!set.id || !Array.isArray(set.tools) || set.tools.length === 0) {
+            throw new Error(`Invalid measuring set in ${path.basename(filePath)}: every set needs "id" and "tools"`);
+        }
+
+        // size is in the volume dimension's base unit
+        const tools = set.tools.map(tool => {
+            const unit = byName.get(normalizeUnitName(tool.unit || ''));
+            const amount = ConversionEngine.parseQuantity(tool.amount);
+            if (!unit || unit.dimension !== 'volume' || typeof unit.factor !== 'number' || !(amount > 0)) {
+                throw new Error(`Measuring tool "${tool.label}" in set "${set.id}" needs a volume "unit" and a positive "amount"`);
+            }
+            return { label: tool.label, size: amount * unit.factor };
+        });
+
+        return { id: set.id, name: set.name || set.id, tools: tools.sort((a, b) => b.size - a.size) };
+    });
+
+    REGISTRY = { dimensions: data.dimensions || {}, units, byName, measuringSets };
+    return REGISTRY;
+}
+
+function getRegistry() {
+    return REGISTRY || loadUnitRegistry();
+}
+
+function getUnits() {
+    return getRegistry().units;
+}
+
+// Look a unit up by id or alias (case and whitespace insensitive)
+function resolveUnit(name) {
+    if (name === undefined || name === null) return null;
+    return getRegistry().byName.get(normalizeUnitName(name)) || null;
+}
+
+// Every unit name a converter refers to: supportedUnits, matrix keys and formula ends
+function collectUnitNames(converter) {
+    const names = new Set(Array.isArray(converter.supportedUnits) ? converter.supportedUnits : []);
+
+    if (converter.conversions && typeof converter.conversions === 'object') {
+        Object.entries(converter.conversions).forEach(([from, row]) => {
+            names.add(from);
+            Object.keys(row || {}).forEach(to => names.add(to));
+        });
+    }
+
+    ['conversionFormulas', 'ingredientFormulas'].forEach(list => {
+        (Array.isArray(converter[list]) ? converter[list] : []).forEach(entry => {
+            if (entry && entry.from) names.add(entry.from);
+            if (entry && entry.to) names.add(entry.to);
+        });
+    });
+
+    return [...names];
+}
+
+// Registry entries keyed by the converter's own unit labels; a converter may
+// pin an ambiguous label to a specific registry id through "unitAliases"
+function getUnitDefinitions(converter) {
+    const aliases = converter.unitAliases || {};
+    const definitions = {};
+
+    collectUnitNames(converter).forEach(name => {
+        const unit = resolveUnit(aliases[name] || name);
+        if (!unit) return;
+
+        definitions[name] = {
+            id: unit.id,
+            dimension: unit.dimension,
+            system: unit.system,
+            factor: typeof unit.factor === 'number' ? unit.factor : null,
+            offset: unit.offset || 0
+        };
+    });
+
+    return definitions;
+}
+
+function findUnknownUnits(converter) {
+    const aliases = converter.unitAliases || {};
+    return (Array.isArray(converter.supportedUnits) ? converter.supportedUnits : [])
+        .filter(name => !resolveUnit(aliases[name] || name));
+}
+
+function attachUnitDefinitions(converter) {
+    return Object.assign({}, converter, { unitDefinitions: getUnitDefinitions(converter) });
+}
+
+// Requires unitDefinitions. Converters without a volume unit are returned unchanged.
+function attachMeasuringSets(converter) {
+    const hasVolume = Object.values(converter.unitDefinitions || {})
+        .some(definition => definition.dimension === 'volume' && typeof definition.factor === 'number');
+    const measuringSets = getRegistry().measuringSets;
+
+    if (!hasVolume || measuringSets.length === 0) return converter;
+    return Object.assign({}, converter, { measuringSets });
+}
+
+module.exports = {
+    loadUnitRegistry,
+    getUnits,
+    resolveUnit,
+    collectUnitNames,
+    getUnitDefinitions,
+    findUnknownUnits,
+    attachUnitDefinitions,
+    attachMeasuringSets
+};